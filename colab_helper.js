@@ -12,6 +12,27 @@ const fs = require('fs');
 const LOCAL_TEMP = '/content/temp_frames';
 const BATCH_SIZE = 100;  // Copy files in batches
 const DELAY_MS = 500;    // Delay between batches
+const FRAME_EXTENSIONS = /\.(png|jpe?g|webp|tiff?)$/i;  // Any --image-format output
+
+// vfe options forwarded to the extraction: those that take a value, and switches
+const VALUE_FLAGS = [
+    '-u', '--urls', '-i', '--input', '--fps', '-c', '--concurrency',
+    '--start', '--end', '--segments', '-q', '--quality', '--image-format',
+    '-m', '--mode', '--scene-threshold', '--select', '-t', '--timestamps',
+    '-n', '--count', '--sampling', '--seed',
+    '--resize', '--fit', '--crop', '--pad-color', '--scale-algo',
+    '--reject', '--blur-threshold', '--black-threshold', '--exposure-threshold',
+    '--dedup-threshold',
+    '--layout', '--include', '--exclude', '--max-depth',
+    '--min-size', '--max-size', '--min-duration', '--max-duration',
+    '--min-free-space', '--max-output', '--video-timeout',
+    '--download-concurrency', '--upload-concurrency', '--log-format', '--report',
+    '--contact-sheet-frames', '--sprite-interval'
+];
+const BOOLEAN_FLAGS = [
+    '--quiet', '--verbose', '--force', '--dedup', '--no-follow-symlinks', '--resume',
+    '--html-report', '--contact-sheet', '--sprites'
+];
 
 /**
  * Copy a directory to destination with batched file operations
@@ -39,6 +60,14 @@ async function copyDirBatched(src, dest, quiet) {
             const destFile = path.join(dest, file);
 
             try {
+                // Nested video folders (--layout mirror)
+                if (fs.statSync(srcFile).isDirectory()) {
+                    const nested = await copyDirBatched(srcFile, destFile, quiet);
+                    copied += nested.copied;
+                    failed += nested.failed;
+                    continue;
+                }
+
                 // Check if file already exists at destination
                 if (fs.existsSync(destFile)) {
                     copied++;
@@ -65,6 +94,17 @@ async function copyDirBatched(src, dest, quiet) {
     return { copied, failed };
 }
 
+/**
+ * Count frame images in a folder and any nested video folders
+ */
+function countFrames(dir) {
+    return fs.readdirSync(dir).reduce((count, f) => {
+        const fullPath = path.join(dir, f);
+        if (fs.statSync(fullPath).isDirectory()) return count + countFrames(fullPath);
+        return count + (FRAME_EXTENSIONS.test(f) ? 1 : 0);
+    }, 0);
+}
+
 /**
  * Copy all extracted frames from local to Drive
  */
@@ -92,7 +132,7 @@ async function copyToDrive(localDir, driveDir, quiet) {
         const srcDir = path.join(localDir, videoDir);
         const destDir = path.join(driveDir, videoDir);
 
-        const frameCount = fs.readdirSync(srcDir).filter(f => f.endsWith('.png')).length;
+        const frameCount = countFrames(srcDir);
 
         if (!quiet) {
             process.stdout.write(`  ${videoDir}: ${frameCount} frames...`);
@@ -171,13 +211,12 @@ async function main() {
             // Forward relevant arguments
             for (let i = 1; i < args.length; i++) {
                 const arg = args[i];
-                if (['-u', '--urls', '-i', '--input', '--fps', '-c', '--concurrency',
-                    '--start', '--end', '-q', '--quality', '--force'].includes(arg)) {
+                if (VALUE_FLAGS.includes(arg)) {
                     extractArgs.push(arg);
                     if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
                         extractArgs.push(args[++i]);
                     }
-                } else if (['--quiet', '--verbose'].includes(arg)) {
+                } else if (BOOLEAN_FLAGS.includes(arg)) {
                     extractArgs.push(arg);
                 }
             }
@@ -228,8 +267,7 @@ async function main() {
             for (let i = args.length - 1; i >= 1; i--) {
                 if (!args[i].startsWith('-') && !['extract', 'copy', 'cleanup', 'full'].includes(args[i])) {
                     // Check if previous arg is a flag that takes a value
-                    if (i > 1 && ['-u', '--urls', '-i', '--input', '--fps', '-c', '--concurrency',
-                        '--start', '--end', '-q', '--quality'].includes(args[i - 1])) {
+                    if (i > 1 && VALUE_FLAGS.includes(args[i - 1])) {
                         continue;
                     }
                     driveDir = args[i];
@@ -250,13 +288,12 @@ async function main() {
                 const arg = args[i];
                 if (arg === driveDir) continue;
 
-                if (['-u', '--urls', '-i', '--input', '--fps', '-c', '--concurrency',
-                    '--start', '--end', '-q', '--quality', '--force'].includes(arg)) {
+                if (VALUE_FLAGS.includes(arg)) {
                     extractArgs.push(arg);
                     if (i + 1 < args.length && !args[i + 1].startsWith('-') && args[i + 1] !== driveDir) {
                         extractArgs.push(args[++i]);
                     }
-                } else if (['--quiet', '--verbose'].includes(arg)) {
+                } else if (BOOLEAN_FLAGS.includes(arg)) {
                     extractArgs.push(arg);
                 }
             }
@@ -0,0 +1,85 @@
+const chalk = require('chalk');
+
+// Exit status of a run stopped by a signal (128 + signal number, as shells report it)
+const SIGNAL_EXIT_CODES = {
+    SIGINT: 130,
+    SIGTERM: 143
+};
+
+// Signal that cancelled the run, null while it is running
+let cancelSignal = null;
+const handlers = new Set();
+
+/**
+ * Why the run was cancelled (null if it wasn't), e.g. "interrupted (SIGINT)"
+ */
+function getCancelReason() {
+    return cancelSignal ? `interrupted (${cancelSignal})` : null;
+}
+
+/**
+ * Whether a signal has cancelled the run
+ */
+function isCancelled() {
+    return cancelSignal !== null;
+}
+
+/**
+ * Exit status for a cancelled run (null if it wasn't cancelled)
+ */
+function getCancelExitCode() {
+    return cancelSignal ? SIGNAL_EXIT_CODES[cancelSignal] : null;
+}
+
+/**
+ * Call handler(reason) once the run is cancelled (at once if it already is) so running
+ * work can stop. Returns a function that removes the handler again.
+ */
+function onCancel(handler) {
+    if (cancelSignal) {
+        handler(getCancelReason());
+        return () => {};
+    }
+
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+}
+
+/**
+ * Cancel the run: every stage stops scheduling work, terminates its child processes and
+ * marks what it left unfinished, so the run can wrap up with a partial summary
+ */
+function cancel(signal) {
+    if (cancelSignal) return;
+
+    cancelSignal = signal;
+    for (const handler of handlers) {
+        handler(getCancelReason());
+    }
+    handlers.clear();
+}
+
+/**
+ * Handle SIGINT (Ctrl-C) and SIGTERM: the first one cancels the run, a second one exits at once
+ */
+function installSignalHandlers() {
+    for (const signal of Object.keys(SIGNAL_EXIT_CODES)) {
+        process.on(signal, () => {
+            if (cancelSignal) {
+                console.error(chalk.red(`\n✖ Received ${signal} again, exiting without cleanup`));
+                process.exit(SIGNAL_EXIT_CODES[signal]);
+            }
+
+            console.error(chalk.yellow(`\n⚠ Received ${signal}, stopping (press Ctrl-C again to exit at once)`));
+            cancel(signal);
+        });
+    }
+}
+
+module.exports = {
+    installSignalHandlers,
+    onCancel,
+    isCancelled,
+    getCancelReason,
+    getCancelExitCode
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { TOOL, describeOptions } = require('./metadata');
+const { getTimestampsForVideo } = require('./timestamps');
+const { isFrameFile } = require('./formats');
+const { PREVIEW_DIR } = require('./previews');
+
+// Present in a video folder while its extraction is unfinished (stopped, failed or crashed)
+const INCOMPLETE_MARKER = '.vfe_incomplete';
+
+// Written into a video folder once every frame and report is on disk
+const COMPLETE_MARKER = '.vfe_complete';
+
+// Per-video reports replaced whenever a video is extracted again
+const REPORT_FILES = ['frames.json', 'scenes.json', 'quality.json', 'dedup.json', 'metadata.json'];
+
+// Options that change which frames are written or how they look
+const OUTPUT_SETTINGS = [
+    'mode', 'imageFormat', 'quality', 'format', 'fps', 'startTime', 'endTime', 'sceneThreshold',
+    'select', 'segments', 'timestamps', 'count', 'sampling', 'seed', 'transform',
+    'reject', 'rejectThresholds', 'dedupThreshold'
+];
+
+/**
+ * The output-affecting settings of one video (its own --timestamps list instead of a flag)
+ */
+function getOutputSettings(video, options) {
+    const described = describeOptions(options);
+    const settings = {};
+
+    for (const key of OUTPUT_SETTINGS) {
+        settings[key] = described[key];
+    }
+    settings.timestamps = options.timestamps ? getTimestampsForVideo(options.timestamps, video) : null;
+
+    return settings;
+}
+
+/**
+ * Size of the source video file (null if it can't be read)
+ */
+function getSourceSize(video) {
+    try {
+        return fs.statSync(video.path).size;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Which video a folder was extracted from: its URL, or the resolved path of a local file
+ */
+function getSourceIdentity(video) {
+    return video.url || path.resolve(video.path);
+}
+
+/**
+ * Read a marker file (null if missing or unreadable)
+ */
+function readMarker(markerPath) {
+    try {
+        return JSON.parse(fs.readFileSync(markerPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Count frame files of an image format in a directory
+ */
+function countFrameFiles(directory, imageFormat) {
+    try {
+        return fs.readdirSync(directory).filter(file => isFrameFile(file, imageFormat)).length;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Decide whether a video folder holds a finished extraction made with the current settings
+ * Returns { complete: true, marker } or { complete: false, reason, previousFormat }, where
+ * reason explains why existing output must be redone (null when there is nothing to redo)
+ */
+function checkCompletion(directory, video, options) {
+    const settings = getOutputSettings(video, options);
+
+    const incompletePath = path.join(directory, INCOMPLETE_MARKER);
+    if (fs.existsSync(incompletePath)) {
+        const incomplete = readMarker(incompletePath);
+        const reason = incomplete && incomplete.reason
+            ? `previous run was stopped (${incomplete.reason})`
+            : 'previous run did not finish';
+        return { complete: false, reason, previousFormat: null };
+    }
+
+    const marker = readMarker(path.join(directory, COMPLETE_MARKER));
+    if (!marker) {
+        const leftover = countFrameFiles(directory, settings.imageFormat);
+        return {
+            complete: false,
+            reason: leftover > 0 ? `${leftover} frames without a completion marker (interrupted or from an older version)` : null,
+            previousFormat: null
+        };
+    }
+
+    const previousFormat = marker.settings.imageFormat;
+
+    const changed = OUTPUT_SETTINGS.filter(key =>
+        JSON.stringify(marker.settings[key]) !== JSON.stringify(settings[key]));
+    if (changed.length > 0) {
+        return { complete: false, reason: `options changed (${changed.join(', ')})`, previousFormat };
+    }
+
+    // Another video of the same size and length can take over a folder when collision suffixes move
+    const source = getSourceIdentity(video);
+    if (marker.source !== source) {
+        return { complete: false, reason: `extracted from a different video (${marker.source || 'unknown'})`, previousFormat };
+    }
+
+    const sourceSize = getSourceSize(video);
+    if (marker.sourceSize !== null && sourceSize !== null && marker.sourceSize !== sourceSize) {
+        return { complete: false, reason: 'source video changed', previousFormat };
+    }
+
+    const found = countFrameFiles(directory, settings.imageFormat);
+    if (found !== marker.frameCount) {
+        return { complete: false, reason: `found ${found} of ${marker.frameCount} frames`, previousFormat };
+    }
+
+    return { complete: true, marker };
+}
+
+/**
+ * Record a finished extraction: the settings used, which video it came from, the source size
+ * and the frame count to expect
+ */
+function writeCompletionMarker(directory, video, options, result) {
+    const marker = {
+        tool: TOOL,
+        finishedAt: new Date().toISOString(),
+        settings: getOutputSettings(video, options),
+        source: getSourceIdentity(video),
+        sourceSize: getSourceSize(video),
+        duration: result.duration,
+        frameCount: result.frameCount
+    };
+
+    fs.writeFileSync(path.join(directory, COMPLETE_MARKER), JSON.stringify(marker, null, 2));
+}
+
+/**
+ * Remove a previous extraction from a video folder: frames of the given image formats,
+ * the per-video reports and the completion marker
+ */
+function clearVideoOutput(directory, imageFormats) {
+    for (const file of fs.readdirSync(directory)) {
+        const isFrame = imageFormats.some(format => format && isFrameFile(file, format));
+        if (isFrame || REPORT_FILES.includes(file) || file === COMPLETE_MARKER) {
+            fs.unlinkSync(path.join(directory, file));
+        }
+    }
+    fs.rmSync(path.join(directory, PREVIEW_DIR), { recursive: true, force: true });
+}
+
+module.exports = {
+    INCOMPLETE_MARKER,
+    COMPLETE_MARKER,
+    getOutputSettings,
+    checkCompletion,
+    writeCompletionMarker,
+    clearVideoOutput
+};
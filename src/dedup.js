@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeGrayscaleFrames } = require('./utils');
+
+// dHash compares each pixel with its right neighbour on a 9x8 grayscale thumbnail -> 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute the 64-bit difference hash of a 9x8 grayscale thumbnail (hex string)
+ */
+function differenceHash(pixels) {
+    const bytes = Buffer.alloc(8);
+
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        let byte = 0;
+        for (let col = 0; col < HASH_WIDTH - 1; col++) {
+            const offset = row * HASH_WIDTH + col;
+            byte = (byte << 1) | (pixels[offset] < pixels[offset + 1] ? 1 : 0);
+        }
+        bytes[row] = byte;
+    }
+
+    return bytes.toString('hex');
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(a, b) {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    let distance = 0;
+
+    for (let i = 0; i < left.length; i++) {
+        let diff = left[i] ^ right[i];
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+
+    return distance;
+}
+
+/**
+ * Hash every frame file, in order
+ */
+async function computeFrameHashes(directory, files, verbose, signal) {
+    const hashes = [];
+
+    await decodeGrayscaleFrames(directory, files, { width: HASH_WIDTH, height: HASH_HEIGHT, verbose, signal }, (pixels) => {
+        hashes.push(differenceHash(pixels));
+    });
+
+    return hashes;
+}
+
+/**
+ * Drop frames within `threshold` bits of the last kept frame (deleting their files)
+ * frames: [{ file, pts, ... }] in extraction order
+ */
+async function dedupeFrames(directory, frames, options) {
+    const { threshold, verbose, signal } = options;
+    const hashes = await computeFrameHashes(directory, frames.map(frame => frame.file), verbose, signal);
+
+    const kept = [];
+    const removed = [];
+    let lastKept = null;
+
+    frames.forEach((frame, i) => {
+        const distance = lastKept ? hammingDistance(hashes[i], lastKept.hash) : null;
+
+        if (distance !== null && distance <= threshold) {
+            fs.unlinkSync(path.join(directory, frame.file));
+            removed.push({ file: frame.file, pts: frame.pts, duplicateOf: lastKept.frame.file, distance });
+            return;
+        }
+
+        frame.hash = hashes[i];
+        kept.push(frame);
+        lastKept = { frame, hash: hashes[i] };
+    });
+
+    return { kept, removed };
+}
+
+/**
+ * Write the per-video dedup.json report of removed frames
+ */
+function writeDedupReport(directory, videoPath, threshold, kept, removed) {
+    const report = {
+        video: videoPath,
+        threshold,
+        kept: kept.length,
+        dropped: removed.length,
+        removed
+    };
+
+    const reportPath = path.join(directory, 'dedup.json');
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+}
+
+module.exports = {
+    dedupeFrames,
+    writeDedupReport,
+    hammingDistance
+};
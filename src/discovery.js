@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { getVideoDuration, parseTime } = require('./utils');
+
+const SIZE_UNITS = {
+    b: 1,
+    k: 1024,
+    kb: 1024,
+    m: 1024 ** 2,
+    mb: 1024 ** 2,
+    g: 1024 ** 3,
+    gb: 1024 ** 3,
+    t: 1024 ** 4,
+    tb: 1024 ** 4
+};
+
+/**
+ * Parse a file size like "500", "10MB" or "1.5G" into bytes (null if invalid)
+ */
+function parseSize(value) {
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b?)$/);
+    if (!match) return null;
+
+    const unit = SIZE_UNITS[match[2] || 'b'];
+    return Math.round(parseFloat(match[1]) * unit);
+}
+
+/**
+ * Compile a glob into a RegExp matched against forward-slash relative paths
+ * Supports *, ?, ** (any number of directories), [abc] and {a,b}
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a trailing "**" matches everything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            braceDepth++;
+            source += '(?:';
+        } else if (char === '}' && braceDepth > 0) {
+            braceDepth--;
+            source += ')';
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build a matcher for a list of globs. Globs without a "/" match the file or
+ * folder name at any depth; others match the whole path relative to the input directory.
+ * Returns the first matching glob, or null
+ */
+function createGlobMatcher(globs) {
+    const compiled = globs.map(glob => ({
+        glob,
+        regex: globToRegExp(glob.replace(/\\/g, '/').replace(/^\.\//, '')),
+        nameOnly: !glob.includes('/')
+    }));
+
+    return (relativePath) => {
+        const posixPath = relativePath.split(path.sep).join('/');
+        const name = path.posix.basename(posixPath);
+
+        const match = compiled.find(({ regex, nameOnly }) => regex.test(nameOnly ? name : posixPath));
+        return match ? match.glob : null;
+    };
+}
+
+/**
+ * Walk the input directory and return the video files that pass the path filters
+ * filters: { extensions, include, exclude, maxDepth, followSymlinks }
+ * Returns { matched: [video], skipped: [{ path, filter, reason }] }
+ */
+function discoverVideoFiles(directory, filters) {
+    const {
+        extensions,
+        include = [],
+        exclude = [],
+        maxDepth = Infinity,
+        followSymlinks = true
+    } = filters;
+
+    const isIncluded = include.length > 0 ? createGlobMatcher(include) : () => true;
+    const isExcluded = createGlobMatcher(exclude);
+    const matched = [];
+    const skipped = [];
+
+    // Real paths of folders already walked, so symlinked folders (and loops) are only searched once
+    const visited = new Set();
+
+    const walk = (dir, depth) => {
+        let items;
+        try {
+            visited.add(fs.realpathSync(dir));
+            items = fs.readdirSync(dir).sort();
+        } catch (error) {
+            // The input folder itself must be readable; a subfolder that can't be listed is skipped
+            if (dir === directory) throw error;
+            skipped.push({ path: path.relative(directory, dir) + path.sep, filter: 'unreadable', reason: `unreadable (${error.code || error.message})` });
+            return;
+        }
+
+        for (const item of items) {
+            const fullPath = path.join(dir, item);
+            const relativePath = path.relative(directory, fullPath);
+
+            let stat;
+            let realPath = null;
+            try {
+                const linkStat = fs.lstatSync(fullPath);
+                if (linkStat.isSymbolicLink() && !followSymlinks) {
+                    skipped.push({ path: relativePath, filter: 'symlink', reason: 'symlink (--no-follow-symlinks)' });
+                    continue;
+                }
+                stat = fs.statSync(fullPath);
+                if (stat.isDirectory()) realPath = fs.realpathSync(fullPath);
+            } catch (error) {
+                skipped.push({ path: relativePath, filter: 'unreadable', reason: `unreadable (${error.code || error.message})` });
+                continue;
+            }
+
+            const excludedBy = isExcluded(relativePath);
+
+            if (stat.isDirectory()) {
+                if (excludedBy) {
+                    skipped.push({ path: relativePath + path.sep, filter: 'exclude', reason: `excluded by ${excludedBy}` });
+                } else if (depth >= maxDepth) {
+                    skipped.push({ path: relativePath + path.sep, filter: 'depth', reason: `deeper than --max-depth ${maxDepth}` });
+                } else if (visited.has(realPath)) {
+                    skipped.push({ path: relativePath + path.sep, filter: 'symlink', reason: 'already searched through another path (symlink)' });
+                } else {
+                    walk(fullPath, depth + 1);
+                }
+                continue;
+            }
+
+            if (!stat.isFile()) continue;
+
+            const ext = path.extname(item).toLowerCase().slice(1);
+            if (!extensions.includes(ext)) {
+                skipped.push({ path: relativePath, filter: 'extension', reason: `extension .${ext || '(none)'} not in --extensions` });
+            } else if (excludedBy) {
+                skipped.push({ path: relativePath, filter: 'exclude', reason: `excluded by ${excludedBy}` });
+            } else if (!isIncluded(relativePath)) {
+                skipped.push({ path: relativePath, filter: 'include', reason: 'not matched by --include' });
+            } else {
+                matched.push({
+                    path: fullPath,
+                    name: path.basename(item, path.extname(item)),
+                    extension: ext,
+                    size: stat.size,
+                    relativeDir: path.relative(directory, dir)
+                });
+            }
+        }
+    };
+
+    walk(directory, 0);
+    return { matched, skipped };
+}
+
+/**
+ * Apply the size and duration filters (duration via ffprobe, only when a duration bound is set)
+ * filters: { minSize, maxSize, minDuration, maxDuration } in bytes / seconds
+ * Resolves with { matched, skipped: [{ path, filter, reason }] }; matched videos keep their probed duration
+ */
+async function applySizeDurationFilters(videos, filters, baseDir) {
+    const { minSize = null, maxSize = null, minDuration = null, maxDuration = null } = filters;
+    const matched = [];
+    const skipped = [];
+    const label = video => (baseDir ? path.relative(baseDir, video.path) : video.url || video.path);
+
+    for (const video of videos) {
+        if (minSize !== null && video.size < minSize) {
+            skipped.push({ path: label(video), filter: 'size', reason: `smaller than --min-size (${video.size} bytes)` });
+            continue;
+        }
+        if (maxSize !== null && video.size > maxSize) {
+            skipped.push({ path: label(video), filter: 'size', reason: `larger than --max-size (${video.size} bytes)` });
+            continue;
+        }
+
+        if (minDuration !== null || maxDuration !== null) {
+            const duration = await getVideoDuration(video.path);
+
+            if (!Number.isFinite(duration)) {
+                skipped.push({ path: label(video), filter: 'duration', reason: 'duration unknown (ffprobe failed)' });
+                continue;
+            }
+            if (minDuration !== null && duration < minDuration) {
+                skipped.push({ path: label(video), filter: 'duration', reason: `shorter than --min-duration (${duration}s)` });
+                continue;
+            }
+            if (maxDuration !== null && duration > maxDuration) {
+                skipped.push({ path: label(video), filter: 'duration', reason: `longer than --max-duration (${duration}s)` });
+                continue;
+            }
+
+            video.duration = duration;
+        }
+
+        matched.push(video);
+    }
+
+    return { matched, skipped };
+}
+
+/**
+ * Parse the discovery-related CLI values, throwing on anything invalid
+ * Returns { include, exclude, maxDepth, followSymlinks, minSize, maxSize, minDuration, maxDuration }
+ */
+function parseDiscoveryOptions(options) {
+    const sizeOption = (value, flag) => {
+        if (value === undefined) return null;
+        const size = parseSize(value);
+        if (size === null) throw new Error(`${flag} must be a size like 500, 200KB, 10MB or 1.5GB`);
+        return size;
+    };
+
+    const durationOption = (value, flag) => {
+        if (value === undefined) return null;
+        const duration = parseTime(value);
+        if (duration === null) throw new Error(`${flag} must be a time (HH:MM:SS, MM:SS or seconds)`);
+        return duration;
+    };
+
+    let maxDepth = Infinity;
+    if (options.maxDepth !== undefined) {
+        maxDepth = parseInt(options.maxDepth, 10);
+        if (isNaN(maxDepth) || maxDepth < 0) throw new Error('--max-depth must be 0 or a positive integer');
+    }
+
+    const discovery = {
+        include: options.include || [],
+        exclude: options.exclude || [],
+        maxDepth,
+        followSymlinks: options.followSymlinks !== false,
+        minSize: sizeOption(options.minSize, '--min-size'),
+        maxSize: sizeOption(options.maxSize, '--max-size'),
+        minDuration: durationOption(options.minDuration, '--min-duration'),
+        maxDuration: durationOption(options.maxDuration, '--max-duration')
+    };
+
+    if (discovery.minSize !== null && discovery.maxSize !== null && discovery.minSize > discovery.maxSize) {
+        throw new Error('--min-size must not be larger than --max-size');
+    }
+    if (discovery.minDuration !== null && discovery.maxDuration !== null && discovery.minDuration > discovery.maxDuration) {
+        throw new Error('--min-duration must not be longer than --max-duration');
+    }
+
+    return discovery;
+}
+
+module.exports = {
+    parseSize,
+    globToRegExp,
+    createGlobMatcher,
+    discoverVideoFiles,
+    applySizeDurationFilters,
+    parseDiscoveryOptions
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { getFreeSpace, formatFileSize } = require('./utils');
+
+// How often free space and the output budget are checked while videos are extracting
+const CHECK_INTERVAL_MS = 2000;
+
+/**
+ * Total size of the files directly inside a directory (0 if it doesn't exist)
+ */
+function getDirectorySize(directory) {
+    try {
+        return fs.readdirSync(directory).reduce((total, file) => {
+            const stat = fs.statSync(path.join(directory, file));
+            return stat.isFile() ? total + stat.size : total;
+        }, 0);
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Watch free space on the output volume (--min-free-space) and the bytes this run has
+ * written (--max-output). check() returns why no new video may start, or null. Once a
+ * limit is hit the guard stays tripped and calls onTrip(reason) so running work can stop.
+ * Video output folders are registered with begin()/finish() so in-flight bytes count too.
+ * trip(reason) stops the same way for reasons of the caller's, such as a cancelled run.
+ * onWarning(message) is called once if free space can't be measured on this system.
+ */
+function createDiskGuard(options) {
+    const { outputDir, minFreeSpace = 0, maxOutput = null, onTrip = null, onWarning = null } = options;
+    const running = new Set();
+    let completedBytes = 0;
+    let reason = null;
+    let timer = null;
+    let warned = false;
+
+    const trip = (why) => {
+        reason = why;
+        if (onTrip) onTrip(why);
+    };
+
+    const check = () => {
+        if (reason) return reason;
+
+        if (minFreeSpace > 0) {
+            const free = getFreeSpace(outputDir);
+            if (free === null) {
+                if (!warned && onWarning) {
+                    onWarning('Free space on the output volume can\'t be measured here (needs Node 18.15+), --min-free-space is not enforced');
+                }
+                warned = true;
+            } else if (free < minFreeSpace) {
+                trip(`free space on the output volume is ${formatFileSize(free)}, below --min-free-space ${formatFileSize(minFreeSpace)}`);
+                return reason;
+            }
+        }
+
+        if (maxOutput !== null) {
+            const written = completedBytes + [...running].reduce((sum, dir) => sum + getDirectorySize(dir), 0);
+            if (written >= maxOutput) {
+                trip(`wrote ${formatFileSize(written)}, reaching --max-output ${formatFileSize(maxOutput)}`);
+            }
+        }
+
+        return reason;
+    };
+
+    return {
+        check,
+
+        get reason() {
+            return reason;
+        },
+
+        trip(why) {
+            if (!reason) trip(why);
+        },
+
+        start() {
+            timer = setInterval(check, CHECK_INTERVAL_MS);
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+        },
+
+        begin(directory) {
+            running.add(directory);
+        },
+
+        finish(directory) {
+            running.delete(directory);
+            completedBytes += getDirectorySize(directory);
+        }
+    };
+}
+
+module.exports = {
+    createDiskGuard,
+    getDirectorySize
+};
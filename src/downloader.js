@@ -3,10 +3,14 @@ const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
 const { URL } = require('url');
 const chalk = require('chalk');
 const ora = require('ora');
 const { sanitizeFilename } = require('./utils');
+const { createWorkQueue, createLiveStatus } = require('./pool');
+const { onCancel, isCancelled } = require('./cancel');
+const { emitEvent, isJsonLogs } = require('./events');
 
 /**
  * Check if yt-dlp is installed
@@ -56,17 +60,30 @@ function getFilenameFromUrl(url) {
 }
 
 /**
- * Download a file using HTTP/HTTPS
+ * Download a file using HTTP/HTTPS (a cancelled run aborts it and removes the partial file)
  */
 async function downloadDirect(url, outputPath, verbose) {
     return new Promise((resolve, reject) => {
         const protocol = url.startsWith('https') ? https : http;
 
         const file = fs.createWriteStream(outputPath);
+        // With --log-format json, stdout only carries events
+        const progressOut = isJsonLogs() ? process.stderr : process.stdout;
+        let removeCancelHandler = () => {};
+
+        const fail = (err) => {
+            removeCancelHandler();
+            file.close();
+            if (fs.existsSync(outputPath)) {
+                fs.unlinkSync(outputPath);
+            }
+            reject(err);
+        };
 
         const request = protocol.get(url, (response) => {
             // Handle redirects
             if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                removeCancelHandler();
                 file.close();
                 fs.unlinkSync(outputPath);
                 return downloadDirect(response.headers.location, outputPath, verbose)
@@ -75,12 +92,12 @@ async function downloadDirect(url, outputPath, verbose) {
             }
 
             if (response.statusCode !== 200) {
-                file.close();
-                fs.unlinkSync(outputPath);
-                reject(new Error(`HTTP ${response.statusCode}: Failed to download`));
+                fail(new Error(`HTTP ${response.statusCode}: Failed to download`));
                 return;
             }
 
+            response.on('error', fail);
+
             const totalSize = parseInt(response.headers['content-length'], 10);
             let downloadedSize = 0;
 
@@ -88,36 +105,50 @@ async function downloadDirect(url, outputPath, verbose) {
                 downloadedSize += chunk.length;
                 if (verbose && totalSize) {
                     const percent = ((downloadedSize / totalSize) * 100).toFixed(1);
-                    process.stdout.write(`\r   Downloading: ${percent}%`);
+                    progressOut.write(`\r   Downloading: ${percent}%`);
                 }
             });
 
             response.pipe(file);
 
             file.on('finish', () => {
+                removeCancelHandler();
                 file.close();
-                if (verbose) process.stdout.write('\n');
+                if (verbose) progressOut.write('\n');
                 resolve(outputPath);
             });
         });
 
-        request.on('error', (err) => {
-            file.close();
-            if (fs.existsSync(outputPath)) {
-                fs.unlinkSync(outputPath);
-            }
-            reject(err);
-        });
+        request.on('error', fail);
 
         request.setTimeout(60000, () => {
             request.destroy();
-            reject(new Error('Download timeout'));
+            fail(new Error('Download timeout'));
+        });
+
+        removeCancelHandler = onCancel((reason) => {
+            request.destroy();
+            fail(new Error(`Download ${reason}`));
         });
     });
 }
 
 /**
- * Download using yt-dlp (for YouTube, etc.)
+ * Remove the partial files yt-dlp left for an output path (.part, fragments, .ytdl)
+ */
+function removeYtDlpLeftovers(outputPath) {
+    const dir = path.dirname(outputPath);
+    const baseName = path.basename(outputPath);
+
+    for (const file of fs.readdirSync(dir)) {
+        if (file.startsWith(baseName) && (file.includes('.part') || file.endsWith('.ytdl'))) {
+            fs.unlinkSync(path.join(dir, file));
+        }
+    }
+}
+
+/**
+ * Download using yt-dlp (for YouTube, etc.); a cancelled run stops yt-dlp and removes its partial files
  */
 async function downloadWithYtDlp(url, outputPath, verbose) {
     return new Promise((resolve, reject) => {
@@ -133,11 +164,18 @@ async function downloadWithYtDlp(url, outputPath, verbose) {
             console.log(chalk.gray(`   yt-dlp ${args.join(' ')}`));
         }
 
+        // Verbose output goes to the terminal; with --log-format json its stdout moves to stderr
         const ytdlp = spawn('yt-dlp', args, {
-            stdio: verbose ? 'inherit' : 'pipe'
+            stdio: verbose ? ['inherit', isJsonLogs() ? 2 : 'inherit', 'inherit'] : 'pipe'
         });
 
         let stderr = '';
+        let cancelReason = null;
+
+        const removeCancelHandler = onCancel((reason) => {
+            cancelReason = reason;
+            ytdlp.kill('SIGTERM');
+        });
 
         if (!verbose && ytdlp.stderr) {
             ytdlp.stderr.on('data', (data) => {
@@ -146,7 +184,12 @@ async function downloadWithYtDlp(url, outputPath, verbose) {
         }
 
         ytdlp.on('close', (code) => {
-            if (code === 0) {
+            removeCancelHandler();
+
+            if (cancelReason) {
+                removeYtDlpLeftovers(outputPath);
+                reject(new Error(`Download ${cancelReason}`));
+            } else if (code === 0) {
                 // yt-dlp might add extension, find the actual file
                 const dir = path.dirname(outputPath);
                 const baseName = path.basename(outputPath, path.extname(outputPath));
@@ -164,6 +207,7 @@ async function downloadWithYtDlp(url, outputPath, verbose) {
         });
 
         ytdlp.on('error', (err) => {
+            removeCancelHandler();
             reject(new Error(`Failed to run yt-dlp: ${err.message}`));
         });
     });
@@ -171,21 +215,29 @@ async function downloadWithYtDlp(url, outputPath, verbose) {
 
 /**
  * Download a single video from URL
+ * The file is named after the URL's filename plus a hash of the whole URL, so URLs that share a
+ * filename (the same name on two hosts, different query strings) never share a download.
+ * A plain `<name>.mp4` downloaded by an earlier version is still reused.
  */
 async function downloadVideo(url, downloadDir, verbose) {
     const filename = getFilenameFromUrl(url);
-    const outputPath = path.join(downloadDir, `${filename}.mp4`);
+    const urlHash = crypto.createHash('md5').update(url).digest('hex').slice(0, 8);
+    const outputPath = path.join(downloadDir, `${filename}_${urlHash}.mp4`);
 
     // Skip if already downloaded
-    if (fs.existsSync(outputPath)) {
-        return { path: outputPath, name: filename, cached: true };
+    for (const cachedPath of [outputPath, path.join(downloadDir, `${filename}.mp4`)]) {
+        if (fs.existsSync(cachedPath)) {
+            return { path: cachedPath, name: filename, cached: true };
+        }
     }
 
     const isDirect = isDirectVideoUrl(url);
 
     if (isDirect) {
-        // Direct download
-        await downloadDirect(url, outputPath, verbose);
+        // Direct download, renamed once complete so an interrupted one is never mistaken for a finished file
+        const partialPath = `${outputPath}.part`;
+        await downloadDirect(url, partialPath, verbose);
+        fs.renameSync(partialPath, outputPath);
         return { path: outputPath, name: filename, cached: false };
     } else {
         // Try yt-dlp for YouTube and other sites
@@ -196,7 +248,8 @@ async function downloadVideo(url, downloadDir, verbose) {
         }
 
         const downloadedPath = await downloadWithYtDlp(url, outputPath, verbose);
-        const actualFilename = path.basename(downloadedPath, path.extname(downloadedPath));
+        // The video is named without the URL hash, like direct downloads
+        const actualFilename = path.basename(downloadedPath, path.extname(downloadedPath)).replace(`_${urlHash}`, '');
         return { path: downloadedPath, name: sanitizeFilename(actualFilename), cached: false };
     }
 }
@@ -219,95 +272,126 @@ function readUrlsFromFile(filePath) {
 }
 
 /**
- * Download all videos from URL file
+ * Video object for a successful download
+ */
+function getDownloadedVideo(download) {
+    return {
+        path: download.path,
+        name: download.name,
+        extension: path.extname(download.path).slice(1),
+        size: fs.existsSync(download.path) ? fs.statSync(download.path).size : 0,
+        url: download.url
+    };
+}
+
+/**
+ * Download stage: push(url) downloads one URL, with at most `concurrency` downloads at
+ * once, and resolves with { success: true, path, name, cached, url } or
+ * { success: false, url, error } (undefined if shouldStop() said not to start it or the
+ * run was cancelled while it was downloading).
+ * With a run state each download is recorded and, when resuming, finished ones are reused.
+ * finish() stops the live status and prints the download summary.
  */
-async function downloadAllVideos(urlFile, downloadDir, concurrency, verbose) {
-    const urls = readUrlsFromFile(urlFile);
+function createDownloadQueue(downloadDir, total, options = {}) {
+    const { concurrency = 3, verbose = false, state = null, shouldStop = null } = options;
 
-    if (urls.length === 0) {
-        console.log(chalk.yellow('⚠ No valid URLs found in the file'));
-        return [];
-    }
+    let successCount = 0;
+    let failCount = 0;
+    let cachedCount = 0;
+    let stoppedCount = 0;
+    let completed = 0;
 
-    console.log(chalk.green(`✔ Found ${urls.length} URL(s) in ${path.basename(urlFile)}\n`));
+    const status = createLiveStatus('Downloading', total, !verbose);
+    const log = line => status.log(line);
 
     // Create download directory
     if (!fs.existsSync(downloadDir)) {
         fs.mkdirSync(downloadDir, { recursive: true });
     }
 
-    const results = [];
-    let successCount = 0;
-    let failCount = 0;
-    let cachedCount = 0;
+    const queue = createWorkQueue(concurrency, async (url) => {
+        const shortUrl = url.length > 60 ? url.substring(0, 60) + '...' : url;
 
-    // Process downloads in batches
-    const batchSize = Math.min(concurrency, 3); // Limit download concurrency to avoid rate limiting
+        try {
+            // A resumed run reuses the file an earlier run downloaded (yt-dlp names it after the title)
+            const previous = state && state.resuming && state.isDone(url, 'download') ? state.get(url).download : null;
+            let result;
+            if (previous && fs.existsSync(previous.path)) {
+                result = { path: previous.path, name: previous.name, cached: true };
+            } else {
+                if (state) state.update(url, 'download', 'running');
+                emitEvent('download.started', { url });
+                result = await downloadVideo(url, downloadDir, verbose);
+            }
+            if (state) state.update(url, 'download', 'done', { path: result.path, name: result.name });
+            emitEvent('download.finished', { url, name: result.name, path: result.path, cached: result.cached });
 
-    for (let i = 0; i < urls.length; i += batchSize) {
-        const batch = urls.slice(i, Math.min(i + batchSize, urls.length));
-        const batchNum = Math.floor(i / batchSize) + 1;
-        const totalBatches = Math.ceil(urls.length / batchSize);
+            completed++;
+            if (result.cached) {
+                cachedCount++;
+                log(chalk.gray(`   [${completed}/${total}] ⏭ Cached: ${result.name}`));
+            } else {
+                successCount++;
+                log(chalk.green(`   [${completed}/${total}] ✔ Downloaded: ${result.name}`));
+            }
 
-        console.log(chalk.blue(`📥 Downloading batch ${batchNum}/${totalBatches}`));
+            return { success: true, ...result, url };
+        } catch (error) {
+            completed++;
+
+            // Stopped by Ctrl-C/SIGTERM: left for the next run rather than failed
+            if (isCancelled()) {
+                stoppedCount++;
+                if (state) state.update(url, 'download', 'incomplete', { error: error.message });
+                emitEvent('download.stopped', { url, error: error.message });
+                log(chalk.yellow(`   [${completed}/${total}] ⏸ Stopped: ${shortUrl}`));
+                return undefined;
+            }
 
-        const batchPromises = batch.map(async (url, idx) => {
-            const urlIndex = i + idx + 1;
-            const shortUrl = url.length > 60 ? url.substring(0, 60) + '...' : url;
+            failCount++;
+            if (state) state.update(url, 'download', 'failed', { error: error.message });
+            emitEvent('download.failed', { url, error: error.message });
+            log(chalk.red(`   [${completed}/${total}] ✖ Failed: ${shortUrl}`));
+            if (verbose) {
+                log(chalk.gray(`      Error: ${error.message}`));
+            }
+            return { success: false, url, error: error.message };
+        }
+    }, {
+        onStart: url => status.start(getFilenameFromUrl(url)),
+        onFinish: (result, url) => status.finish(getFilenameFromUrl(url)),
+        shouldStop
+    });
 
-            try {
-                const result = await downloadVideo(url, downloadDir, verbose);
+    return {
+        push: url => queue.push(url),
 
-                if (result.cached) {
-                    cachedCount++;
-                    console.log(chalk.gray(`   [${urlIndex}/${urls.length}] ⏭ Cached: ${result.name}`));
-                } else {
-                    successCount++;
-                    console.log(chalk.green(`   [${urlIndex}/${urls.length}] ✔ Downloaded: ${result.name}`));
-                }
+        finish() {
+            status.stop();
 
-                return { success: true, ...result, url };
-            } catch (error) {
-                failCount++;
-                console.log(chalk.red(`   [${urlIndex}/${urls.length}] ✖ Failed: ${shortUrl}`));
-                if (verbose) {
-                    console.log(chalk.gray(`      Error: ${error.message}`));
-                }
-                return { success: false, url, error: error.message };
+            console.log('');
+            console.log(chalk.blue('📥 Download Summary:'));
+            console.log(chalk.green(`   Downloaded: ${successCount}`));
+            if (cachedCount > 0) {
+                console.log(chalk.gray(`   Cached:     ${cachedCount}`));
             }
-        });
-
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
-    }
-
-    console.log('');
-    console.log(chalk.blue('📥 Download Summary:'));
-    console.log(chalk.green(`   Downloaded: ${successCount}`));
-    if (cachedCount > 0) {
-        console.log(chalk.gray(`   Cached:     ${cachedCount}`));
-    }
-    if (failCount > 0) {
-        console.log(chalk.red(`   Failed:     ${failCount}`));
-    }
-    console.log('');
-
-    // Return only successful downloads as video objects
-    return results
-        .filter(r => r.success)
-        .map(r => ({
-            path: r.path,
-            name: r.name,
-            extension: path.extname(r.path).slice(1),
-            size: fs.existsSync(r.path) ? fs.statSync(r.path).size : 0,
-            url: r.url
-        }));
+            if (failCount > 0) {
+                console.log(chalk.red(`   Failed:     ${failCount}`));
+            }
+            if (stoppedCount > 0) {
+                console.log(chalk.yellow(`   Stopped:    ${stoppedCount}`));
+            }
+            console.log('');
+        }
+    };
 }
 
 module.exports = {
     checkYtDlp,
     downloadVideo,
-    downloadAllVideos,
+    createDownloadQueue,
+    getDownloadedVideo,
     readUrlsFromFile,
-    isDirectVideoUrl
+    isDirectVideoUrl,
+    getFilenameFromUrl
 };
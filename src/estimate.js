@@ -0,0 +1,168 @@
+const chalk = require('chalk');
+const {
+    getVideoInfo,
+    countKeyframes,
+    parseTime,
+    formatDuration,
+    formatFileSize,
+    getFreeSpace
+} = require('./utils');
+const { getTimestampsForVideo } = require('./timestamps');
+const { getImageFormat } = require('./formats');
+const { getSourceDimensions, computeTransform } = require('./transform');
+
+/**
+ * Parse an ffprobe frame rate ("30000/1001", "25/1") into frames per second (null if unknown)
+ */
+function parseFrameRate(value) {
+    if (!value) return null;
+
+    const [num, den = '1'] = String(value).split('/');
+    const rate = parseFloat(num) / parseFloat(den);
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * The time windows (seconds) that would be extracted from a video of this duration
+ */
+function getExtractionWindows(duration, options) {
+    const windows = options.segments
+        ? options.segments.map(segment => ({ start: parseTime(segment.start), end: parseTime(segment.end) }))
+        : [{ start: parseTime(options.startTime) || 0, end: parseTime(options.endTime) }];
+
+    return windows
+        .map(({ start, end }) => ({
+            start: Math.min(start, duration),
+            end: Math.min(end === null ? duration : end, duration)
+        }))
+        .filter(window => window.end > window.start);
+}
+
+/**
+ * Probe one video and estimate how many frames the chosen options would write and how big they'd be
+ * Resolves with { video, duration, frameRate, source, output, frames, bytes, exact, note }
+ */
+async function estimateVideo(video, options) {
+    const probe = await getVideoInfo(video.path);
+    const stream = probe && (probe.streams || []).find(s => s.codec_type === 'video');
+    const duration = probe && probe.format ? parseFloat(probe.format.duration) : NaN;
+
+    if (!stream || !Number.isFinite(duration)) {
+        return { video, error: 'could not probe video' };
+    }
+
+    const frameRate = parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate);
+    const source = getSourceDimensions(probe);
+    const output = options.transform && source
+        ? computeTransform(source, options.transform).output
+        : source;
+
+    const windows = getExtractionWindows(duration, options);
+    const windowLength = windows.reduce((sum, window) => sum + window.end - window.start, 0);
+
+    let frames;
+    let exact = true;
+    let note = null;
+
+    if (options.timestamps) {
+        frames = (getTimestampsForVideo(options.timestamps, video) || []).filter(time => time < duration).length;
+    } else if (options.count) {
+        frames = options.count;
+    } else if (options.mode === 'keyframes') {
+        frames = 0;
+        for (const window of windows) {
+            const keyframes = await countKeyframes(video.path, window.start, window.end);
+            if (keyframes === null) {
+                return { video, error: 'could not count keyframes' };
+            }
+            frames += keyframes;
+        }
+    } else {
+        const rate = options.fps ? parseFloat(options.fps) : frameRate;
+        frames = rate ? Math.round(windowLength * rate) : 0;
+        exact = false;
+
+        if (options.mode === 'scene') {
+            note = 'upper bound, scene mode keeps only changes';
+        } else if (!rate) {
+            note = 'unknown frame rate';
+        }
+    }
+
+    if (options.reject || options.dedup) {
+        note = note || 'before --reject/--dedup';
+    }
+
+    const bytesPerPixel = getImageFormat(options.imageFormat).bytesPerPixel;
+    const bytes = output ? Math.round(frames * output.width * output.height * bytesPerPixel) : 0;
+
+    return { video, duration, frameRate, source, output, frames, bytes, exact, note };
+}
+
+/**
+ * "1920x1080", or "1920x1080 -> 640x360" when the frames are resized
+ */
+function describeResolution(source, output) {
+    if (!source) return '?x?';
+
+    const sourceSize = `${source.width}x${source.height}`;
+    const outputSize = output ? `${output.width}x${output.height}` : sourceSize;
+    return outputSize === sourceSize ? sourceSize : `${sourceSize} -> ${outputSize}`;
+}
+
+/**
+ * Dry run: probe every video, print per-video and total frame/size estimates, and warn
+ * when the total would not fit in the free space of the output volume
+ * Resolves with { estimates, totalFrames, totalBytes, freeBytes }
+ */
+async function printRunEstimate(videos, outputDir, options) {
+    console.log(chalk.blue('\n📊 Estimated output:'));
+
+    const estimates = [];
+    for (const video of videos) {
+        const estimate = await estimateVideo(video, options);
+        estimates.push(estimate);
+
+        const name = video.outputName || video.name;
+        if (estimate.error) {
+            console.log(chalk.yellow(`  ⚠ ${name}: ${estimate.error}`));
+            continue;
+        }
+
+        const rate = estimate.frameRate ? `${estimate.frameRate.toFixed(2)} fps` : '? fps';
+        const size = describeResolution(estimate.source, estimate.output);
+        const approx = estimate.exact ? '' : '~';
+        const note = estimate.note ? chalk.gray(` (${estimate.note})`) : '';
+
+        console.log(`  ${name}: ${formatDuration(estimate.duration)}, ${rate}, ${size}, ${approx}${estimate.frames} frames, ~${formatFileSize(estimate.bytes)}${note}`);
+    }
+
+    const probed = estimates.filter(estimate => !estimate.error);
+    const totalFrames = probed.reduce((sum, estimate) => sum + estimate.frames, 0);
+    const totalBytes = probed.reduce((sum, estimate) => sum + estimate.bytes, 0);
+    const freeBytes = getFreeSpace(outputDir);
+
+    const approx = probed.every(estimate => estimate.exact) ? '' : '~';
+    console.log(chalk.blue(`\n  Total: ${approx}${totalFrames} frames, ~${formatFileSize(totalBytes)} for ${probed.length} video(s)`));
+    if (probed.length < estimates.length) {
+        console.log(chalk.yellow(`  ${estimates.length - probed.length} video(s) could not be probed and are not included`));
+    }
+
+    if (freeBytes !== null) {
+        console.log(chalk.gray(`  Free space on output volume: ${formatFileSize(freeBytes)}`));
+        if (totalBytes > freeBytes) {
+            console.log(chalk.red(`  ⚠ Estimated output exceeds free space on ${outputDir} by ${formatFileSize(totalBytes - freeBytes)}`));
+        }
+    } else {
+        console.log(chalk.yellow('  ⚠ Free space on output volume unknown (can\'t be measured here, needs Node 18.15+): can\'t tell if the output fits'));
+    }
+
+    return { estimates, totalFrames, totalBytes, freeBytes };
+}
+
+module.exports = {
+    parseFrameRate,
+    getExtractionWindows,
+    estimateVideo,
+    printRunEstimate
+};
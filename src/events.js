@@ -0,0 +1,39 @@
+const chalk = require('chalk');
+
+// Log formats for --log-format
+const LOG_FORMATS = ['text', 'json'];
+
+let jsonLogs = false;
+
+/**
+ * Switch to --log-format json: stdout carries only JSON events, one per line, and the
+ * human-readable output moves (uncoloured) to stderr
+ */
+function useJsonLogs() {
+    jsonLogs = true;
+    chalk.level = 0;
+    console.log = (...args) => console.error(...args);
+}
+
+/**
+ * Whether events are being written
+ */
+function isJsonLogs() {
+    return jsonLogs;
+}
+
+/**
+ * Write one event ({ time, event, ...data }) to stdout when logging JSON; a no-op otherwise
+ */
+function emitEvent(event, data = {}) {
+    if (!jsonLogs) return;
+
+    process.stdout.write(JSON.stringify({ time: new Date().toISOString(), event, ...data }) + '\n');
+}
+
+module.exports = {
+    LOG_FORMATS,
+    useJsonLogs,
+    isJsonLogs,
+    emitEvent
+};
@@ -2,160 +2,572 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const chalk = require('chalk');
 const ora = require('ora');
-const { getVideoDuration, formatDuration, sanitizeFilename } = require('./utils');
+const {
+    getVideoDuration,
+    getVideoInfo,
+    runFfmpeg,
+    terminateFfmpeg,
+    splitRawFrames,
+    formatDuration,
+    sanitizeFilename,
+    parseTime,
+    formatFramePattern,
+    formatTimestampPattern,
+    formatFrameFilename,
+    hasFilenameTokens,
+    formatTimecode
+} = require('./utils');
+const { getTimestampsForVideo, getSampleTimestamps } = require('./timestamps');
+const { writeVideoMetadata, writeRunManifest, getStatus } = require('./metadata');
+const { getEncoderArgs, isFrameFile } = require('./formats');
+const { getSourceDimensions, computeTransform, getTransformFilters } = require('./transform');
+const { dedupeFrames, writeDedupReport } = require('./dedup');
+const { discoverVideoFiles, applySizeDurationFilters } = require('./discovery');
+const { printRunEstimate } = require('./estimate');
+const { createDownloadQueue, getDownloadedVideo, getFilenameFromUrl } = require('./downloader');
+const { createDiskGuard } = require('./diskguard');
+const { onCancel, isCancelled } = require('./cancel');
+const { emitEvent, isJsonLogs } = require('./events');
+const { writeHtmlReport } = require('./htmlreport');
+const { createPreviews } = require('./previews');
+const {
+    INCOMPLETE_MARKER,
+    checkCompletion,
+    writeCompletionMarker,
+    clearVideoOutput
+} = require('./completion');
+const { getStateKey } = require('./runstate');
+const { createWorkQueue, createLiveStatus } = require('./pool');
+const { PROGRESS_ARGS, createProgressParser, createRunProgress } = require('./progress');
+const {
+    ANALYSIS_WIDTH,
+    ANALYSIS_HEIGHT,
+    measureFrame,
+    scoreFrame,
+    filterFrames,
+    countReasons,
+    writeQualityReport
+} = require('./quality');
+
+// How often running videos' progress is redrawn on the live status, or printed as a plain line without one
+const LIVE_REFRESH_MS = 500;
+const PLAIN_PROGRESS_INTERVAL_MS = 15000;
+
+// How often --log-format json reports the progress of running videos
+const JSON_PROGRESS_INTERVAL_MS = 5000;
+
+// Sequential name frames are written under before being renamed from filename tokens
+const TEMP_FRAME_PATTERN = '.vfe_tmp_%08d';
 
 /**
- * Find all video files in a directory
+ * Print the discovery result: every matched video with its output folder, then every
+ * skipped path with the reason (all of them in dry-run/verbose, a count otherwise)
  */
-function findVideoFiles(directory, extensions) {
-    const videoFiles = [];
-
-    const items = fs.readdirSync(directory);
-
-    for (const item of items) {
-        const fullPath = path.join(directory, item);
-        const stat = fs.statSync(fullPath);
-
-        if (stat.isFile()) {
-            const ext = path.extname(item).toLowerCase().slice(1);
-            if (extensions.includes(ext)) {
-                videoFiles.push({
-                    path: fullPath,
-                    name: path.basename(item, path.extname(item)),
-                    extension: ext,
-                    size: stat.size
-                });
+function reportDiscovery(videos, skipped, listAll) {
+    if (listAll) {
+        if (videos.length > 0) {
+            console.log(chalk.green(`Matched ${videos.length} video(s):`));
+        }
+        for (const video of videos) {
+            console.log(`  ✔ ${video.url || video.path} -> ${video.outputName}`);
+        }
+
+        if (skipped.length > 0) {
+            console.log(chalk.yellow(`Skipped ${skipped.length} path(s):`));
+            for (const entry of skipped) {
+                console.log(chalk.gray(`  ✖ ${entry.path}: ${entry.reason}`));
             }
-        } else if (stat.isDirectory()) {
-            // Recursively search subdirectories
-            videoFiles.push(...findVideoFiles(fullPath, extensions));
         }
+    } else if (skipped.length > 0) {
+        console.log(chalk.gray(`Skipped ${skipped.length} path(s) (use --dry-run or --verbose to list them)`));
     }
+}
+
+/**
+ * --log-format json event listing the videos a run will process and the paths it skipped
+ */
+function emitDiscovered(videos, skipped) {
+    emitEvent('discovered', {
+        videos: videos.map(video => ({
+            name: video.name,
+            source: video.url || video.path,
+            outputDir: video.outputName || null
+        })),
+        skipped: skipped.filter(entry => entry.filter !== 'extension')
+    });
+}
+
+/**
+ * Hand out output folders (video.outputName, relative to the output directory) one video
+ * at a time. flat: <name>; mirror: <input subdirectory>/<name>. When two videos would
+ * share a folder the first keeps it and later ones get a short hash of their source appended.
+ * The returned function names a video and returns { video, outputName, conflictsWith } if it was renamed
+ */
+function createOutputNamer(layout) {
+    const claimed = new Map();
+
+    return (video) => {
+        const name = sanitizeFilename(video.name);
+        const preferred = layout === 'mirror' && video.relativeDir
+            ? path.join(video.relativeDir, name)
+            : name;
+
+        // Compare case-insensitively: Drive and macOS/Windows volumes are case-insensitive
+        const owner = claimed.get(preferred.toLowerCase());
+        let outputName = preferred;
+        let collision = null;
+
+        if (owner) {
+            outputName = `${preferred}_${shortHash(video.url || video.path)}`;
+            collision = { video, outputName, conflictsWith: owner };
+        }
 
-    return videoFiles;
+        claimed.set(outputName.toLowerCase(), video);
+        video.outputName = outputName;
+        return collision;
+    };
 }
 
 /**
- * Format file size for display
+ * Give every video in a list its own output folder (see createOutputNamer)
+ * Returns the renamed videos as [{ video, outputName, conflictsWith }]
  */
-function formatFileSize(bytes) {
-    const units = ['B', 'KB', 'MB', 'GB'];
-    let unitIndex = 0;
-    let size = bytes;
+function assignOutputDirs(videos, layout) {
+    const nameOutput = createOutputNamer(layout);
+    return videos.map(nameOutput).filter(Boolean);
+}
 
-    while (size >= 1024 && unitIndex < units.length - 1) {
-        size /= 1024;
-        unitIndex++;
+/**
+ * First 8 hex digits of the SHA-1 of a string
+ */
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').slice(0, 8);
+}
+
+/**
+ * Warn about videos moved to suffixed folders by assignOutputDirs
+ */
+function reportCollisions(collisions, quiet) {
+    if (collisions.length === 0) {
+        return;
     }
 
-    return `${size.toFixed(2)} ${units[unitIndex]}`;
+    console.log(chalk.yellow(`⚠ ${collisions.length} video(s) share an output folder name with another video, using suffixed folders:`));
+    if (!quiet) {
+        for (const { video, outputName, conflictsWith } of collisions) {
+            console.log(chalk.yellow(`    ${video.url || video.path} -> ${outputName} (collides with ${conflictsWith.url || conflictsWith.path})`));
+        }
+    }
+}
+
+/**
+ * Input arguments for the --start/--end window (and keyframe-only decoding)
+ */
+function getInputArgs(videoPath, options) {
+    const args = [];
+
+    // Input options
+    if (options.startTime) {
+        args.push('-ss', String(options.startTime));
+    }
+
+    // Keyframe mode: let the decoder skip everything except keyframes
+    if (options.mode === 'keyframes') {
+        args.push('-skip_frame', 'nokey');
+    }
+
+    // Input file
+    args.push('-i', videoPath);
+
+    // End time: input seeking resets timestamps to zero, so an output -to would act as a
+    // duration. Convert the absolute end time into a duration when a start time is set.
+    if (options.endTime) {
+        const start = parseTime(options.startTime);
+        const end = parseTime(options.endTime);
+
+        if (start && end !== null) {
+            args.push('-t', String(Math.max(0, end - start)));
+        } else {
+            args.push('-to', String(options.endTime));
+        }
+    }
+
+    return args;
 }
 
 /**
  * Extract frames from a single video
+ * Resolves with one entry per written frame: { index, file, pts } (plus score in scene mode)
  */
 async function extractFrames(videoPath, outputDir, options) {
-    return new Promise((resolve, reject) => {
-        const args = [];
+    if (options.select === 'best') {
+        return extractBestFrames(videoPath, outputDir, options);
+    }
 
-        // Input options
-        if (options.startTime) {
-            args.push('-ss', options.startTime);
-        }
+    // options.onProgress({ frames, time, speed }) follows ffmpeg's -progress reports
+    const parseProgress = options.onProgress ? createProgressParser(options.onProgress) : null;
+    const args = [...(parseProgress ? PROGRESS_ARGS : []), ...getInputArgs(videoPath, options)];
+
+    // Video filters
+    const filters = [];
+
+    // FPS filter if specified (keyframes are irregular, so resampling them makes no sense)
+    if (options.fps && options.mode !== 'keyframes') {
+        filters.push(`fps=${options.fps}`);
+    }
+
+    // Scene mode: keep the first frame plus every frame whose scene score exceeds the threshold
+    if (options.mode === 'scene') {
+        filters.push(
+            `select='eq(n,0)+gt(scene,${options.sceneThreshold})'`,
+            'metadata=print:key=lavfi.scene_score'
+        );
+    }
+
+    // Crop/scale/pad, applied after frame selection so scene detection sees full frames
+    filters.push(...(options.videoFilters || []));
+
+    // Log every output frame so its presentation timestamp can be recorded
+    filters.push('showinfo');
+
+    args.push('-vf', filters.join(','));
+
+    // One file per frame showinfo logs: the muxer must not duplicate or drop frames
+    // (variable frame rate sources, skipped frames in scene and keyframe mode)
+    args.push('-vsync', 'passthrough');
+
+    args.push(...getEncoderArgs(options.imageFormat, options.quality));
 
-        // Input file
-        args.push('-i', videoPath);
+    // Filename tokens ({pts}, {timecode}, ...) are only known once a frame has been decoded,
+    // so write sequential temporary files and rename them afterwards
+    const tokenized = hasFilenameTokens(options.format);
+    const writePattern = tokenized
+        ? TEMP_FRAME_PATTERN + path.extname(options.format)
+        : options.format;
 
-        // End time (duration from start)
-        if (options.endTime) {
-            args.push('-to', options.endTime);
+    // Output pattern
+    const outputPattern = path.join(outputDir, writePattern);
+    args.push(outputPattern);
+
+    // Overwrite existing files
+    args.push('-y');
+
+    const frameTimes = [];
+    const sceneScores = [];
+
+    await runFfmpeg(args, options.verbose, (line) => {
+        if (parseProgress && parseProgress(line)) {
+            return true;
         }
 
-        // FPS filter if specified
-        if (options.fps) {
-            args.push('-vf', `fps=${options.fps}`);
+        const frameMatch = line.match(/Parsed_showinfo_\d+ @ [^\]]+\] n:\s*\d+\s+pts:\s*\S+\s+pts_time:(\S+)/);
+        if (frameMatch) {
+            frameTimes.push(parseFloat(frameMatch[1]));
+            return true;
         }
 
-        // PNG output settings for high quality
-        args.push(
-            '-compression_level', options.quality.toString(),
-            '-pix_fmt', 'rgb24'  // High quality pixel format
-        );
+        const scoreMatch = line.match(/lavfi\.scene_score=(\S+)/);
+        if (scoreMatch) {
+            sceneScores.push(parseFloat(scoreMatch[1]));
+        }
 
-        // Output pattern
-        const outputPattern = path.join(outputDir, options.format);
-        args.push(outputPattern);
+        // Other showinfo and metadata output is frame info too, not worth an error message
+        return /Parsed_(showinfo|metadata)_\d+/.test(line) || Boolean(scoreMatch);
+    }, null, options.signal);
 
-        // Overwrite existing files
-        args.push('-y');
+    // Frame times are matched to files by position, which only holds if every logged frame was written
+    const framePath = i => path.join(outputDir, formatFramePattern(writePattern, i));
+    const written = frameTimes.filter((time, i) => fs.existsSync(framePath(i + 1))).length;
+    if (written !== frameTimes.length || fs.existsSync(framePath(frameTimes.length + 1))) {
+        throw new Error(`ffmpeg logged ${frameTimes.length} frames but wrote a different number of files; frame times can't be matched`);
+    }
+
+    // Timestamps restart at zero after input seeking, so shift them back to source time
+    const offset = parseTime(options.startTime) || 0;
+    const frames = [];
 
-        if (options.verbose) {
-            console.log(chalk.gray(`   Command: ffmpeg ${args.join(' ')}`));
+    frameTimes.forEach((time, i) => {
+        const frame = { index: i + 1, file: formatFramePattern(writePattern, i + 1), pts: roundTime(time + offset) };
+
+        if (tokenized) {
+            const tempPath = path.join(outputDir, frame.file);
+            frame.file = formatFrameFilename(options.format, { index: frame.index, pts: frame.pts, video: options.videoName });
+            fs.renameSync(tempPath, path.join(outputDir, frame.file));
         }
 
-        const ffmpeg = spawn('ffmpeg', args, {
-            stdio: options.verbose ? 'inherit' : 'pipe'
-        });
+        if (options.mode === 'scene') {
+            frame.score = i < sceneScores.length ? sceneScores[i] : null;
+        }
 
-        let stderr = '';
+        frames.push(frame);
+    });
 
-        if (!options.verbose && ffmpeg.stderr) {
-            ffmpeg.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
+    return frames;
+}
+
+/**
+ * --select best: decode every frame of the window as a small grayscale thumbnail, score
+ * each one (sharpness, exposure) and extract only the best frame of every 1/fps interval
+ * Resolves with one entry per written frame: { index, file, pts, score, candidates, quality }
+ */
+async function extractBestFrames(videoPath, outputDir, options) {
+    const candidates = [];
+    const frameTimes = [];
+
+    // The analysis pass decodes the whole window, so it is the part worth reporting progress for
+    const parseProgress = options.onProgress ? createProgressParser(options.onProgress) : null;
+
+    await runFfmpeg([
+        ...(parseProgress ? PROGRESS_ARGS : []),
+        ...getInputArgs(videoPath, options),
+        '-vf', [
+            ...(options.videoFilters || []),
+            `scale=${ANALYSIS_WIDTH}:${ANALYSIS_HEIGHT}:flags=area`,
+            'format=gray',
+            'showinfo'
+        ].join(','),
+        '-vsync', 'passthrough',
+        '-f', 'rawvideo',
+        'pipe:1'
+    ], options.verbose, (line) => {
+        if (parseProgress && parseProgress(line)) {
+            return true;
         }
 
-        ffmpeg.on('close', (code) => {
-            if (code === 0) {
-                resolve();
-            } else {
-                reject(new Error(`ffmpeg exited with code ${code}\n${stderr}`));
-            }
-        });
+        const frameMatch = line.match(/Parsed_showinfo_\d+ @ [^\]]+\] n:\s*\d+\s+pts:\s*\S+\s+pts_time:(\S+)/);
+        if (frameMatch) {
+            frameTimes.push(parseFloat(frameMatch[1]));
+        }
+        return /Parsed_showinfo_\d+/.test(line);
+    }, splitRawFrames(ANALYSIS_WIDTH * ANALYSIS_HEIGHT, (pixels) => {
+        const metrics = measureFrame(pixels);
+        candidates.push({ metrics, score: scoreFrame(metrics) });
+    }), options.signal);
 
-        ffmpeg.on('error', (err) => {
-            reject(new Error(`Failed to start ffmpeg: ${err.message}`));
-        });
+    // Group candidates into 1/fps intervals (relative to the window start) and keep the best of each
+    const fps = parseFloat(options.fps);
+    const intervals = new Map();
+
+    candidates.forEach((candidate, i) => {
+        if (i >= frameTimes.length) return;
+
+        const time = frameTimes[i];
+        const key = Math.floor(time * fps + 1e-6);
+        const interval = intervals.get(key) || { best: null, count: 0 };
+
+        // Seek halfway back to the previous frame so rounded pts values still land on this one
+        const gap = i > 0 ? time - frameTimes[i - 1] : (frameTimes[i + 1] - time) || 0;
+
+        interval.count++;
+        if (!interval.best || candidate.score > interval.best.score) {
+            interval.best = { ...candidate, time, seek: Math.max(0, time - gap / 2) };
+        }
+        intervals.set(key, interval);
     });
+
+    const offset = parseTime(options.startTime) || 0;
+    const tokenized = hasFilenameTokens(options.format);
+    const frames = [];
+
+    for (const { best, count } of intervals.values()) {
+        const index = frames.length + 1;
+        const pts = roundTime(best.time + offset);
+        const file = tokenized
+            ? formatFrameFilename(options.format, { index, pts, video: options.videoName })
+            : formatFramePattern(options.format, index);
+        const outputPath = path.join(outputDir, file);
+        const filters = options.videoFilters || [];
+
+        await runFfmpeg([
+            '-ss', String(roundTime(best.seek + offset)),
+            '-i', videoPath,
+            '-frames:v', '1',
+            ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+            ...getEncoderArgs(options.imageFormat, options.quality),
+            outputPath,
+            '-y'
+        ], options.verbose, null, null, options.signal);
+
+        if (fs.existsSync(outputPath)) {
+            frames.push({ index, file, pts, score: best.score, candidates: count, quality: best.metrics });
+        }
+    }
+
+    return frames;
+}
+
+/**
+ * Extract one frame at each of the given timestamps (in seconds), named by timestamp
+ * Resolves with the written frames ({ index, file, pts }) and the timestamps that produced none;
+ * options.onProgress({ frames, fraction }) is called after each timestamp
+ */
+async function extractFramesAtTimestamps(videoPath, outputDir, timestamps, options) {
+    const extracted = [];
+    const missing = [];
+    const tokenized = hasFilenameTokens(options.format);
+
+    for (const [i, time] of timestamps.entries()) {
+        const filename = tokenized
+            ? formatFrameFilename(options.format, { index: i + 1, pts: time, video: options.videoName })
+            : formatTimestampPattern(options.format, time);
+        const outputPath = path.join(outputDir, filename);
+
+        const filters = options.videoFilters || [];
+
+        // Input seeking is frame-accurate when re-encoding, and only decodes from the previous keyframe
+        await runFfmpeg([
+            '-ss', time.toString(),
+            '-i', videoPath,
+            '-frames:v', '1',
+            ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+            ...getEncoderArgs(options.imageFormat, options.quality),
+            outputPath,
+            '-y'
+        ], options.verbose, null, null, options.signal);
+
+        // Timestamps past the end of the video produce no output
+        if (fs.existsSync(outputPath)) {
+            extracted.push({ index: i + 1, file: filename, pts: time });
+        } else {
+            missing.push(time);
+        }
+
+        if (options.onProgress) {
+            options.onProgress({ frames: extracted.length, fraction: (i + 1) / timestamps.length });
+        }
+    }
+
+    return { extracted, missing };
+}
+
+/**
+ * Seconds of video a --start/--end or --segments window covers (null when the duration is unknown)
+ */
+function getWindowLength(window, duration) {
+    if (!duration) {
+        return null;
+    }
+
+    const start = parseTime(window.start) || 0;
+    const end = window.end !== undefined && window.end !== null ? Math.min(parseTime(window.end), duration) : duration;
+    return Math.max(0, end - start);
+}
+
+/**
+ * Round a time in seconds to millisecond precision
+ */
+function roundTime(seconds) {
+    return parseFloat(seconds.toFixed(3));
+}
+
+/**
+ * Write the per-video frames.json mapping each written frame to its source timestamp
+ */
+function writeFrameMap(videoPath, videoOutputDir, frames) {
+    const frameMap = {
+        video: videoPath,
+        frameCount: frames.length,
+        frames: frames.map(frame => ({
+            file: frame.file,
+            index: frame.index,
+            pts: frame.pts,
+            timecode: formatTimecode(frame.pts),
+            ...(frame.segment ? { segment: frame.segment } : {}),
+            ...(frame.candidates ? { score: frame.score, candidates: frame.candidates } : {}),
+            ...(frame.quality ? { quality: frame.quality } : {}),
+            ...(frame.hash ? { hash: frame.hash } : {})
+        }))
+    };
+
+    const mapPath = path.join(videoOutputDir, 'frames.json');
+    fs.writeFileSync(mapPath, JSON.stringify(frameMap, null, 2));
+    return mapPath;
 }
 
 /**
- * Count extracted frames in a directory
+ * Write the per-video scene report (kept frames, source timestamps and scene scores)
  */
-function countExtractedFrames(directory) {
+function writeSceneReport(videoPath, videoOutputDir, frames, threshold) {
+    const report = {
+        video: videoPath,
+        threshold,
+        frameCount: frames.length,
+        frames
+    };
+
+    const reportPath = path.join(videoOutputDir, 'scenes.json');
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+}
+
+/**
+ * Filename prefix for a --segments window (1-based segment index, e.g. seg01_)
+ */
+function segmentPrefix(segmentIndex) {
+    return `seg${(segmentIndex + 1).toString().padStart(2, '0')}_`;
+}
+
+/**
+ * Count extracted frames of the given image format in a directory
+ */
+function countExtractedFrames(directory, imageFormat) {
     try {
         const files = fs.readdirSync(directory);
-        return files.filter(f => f.endsWith('.png')).length;
+        return files.filter(f => isFrameFile(f, imageFormat)).length;
     } catch {
         return 0;
     }
 }
+
 /**
  * Process a single video and return result
  */
 async function processSingleVideo(video, index, total, outputDir, options) {
     // Sanitize the video name properly (handles URL-encoded names)
     const sanitizedName = sanitizeFilename(video.name);
-    const videoOutputDir = path.join(outputDir, sanitizedName);
+    const videoOutputDir = path.join(outputDir, video.outputName || sanitizedName);
     const startTime = Date.now();
+    const markerPath = path.join(videoOutputDir, INCOMPLETE_MARKER);
+    const { state } = options;
 
-    // Check cache: if frames already exist and --force is not set, skip
-    if (!options.force) {
-        const existingFrames = countExtractedFrames(videoOutputDir);
-        if (existingFrames > 0) {
-            return {
-                success: true,
-                cached: true,
-                video,
-                index,
-                frameCount: existingFrames,
-                elapsedTime: '0.00',
-                duration: null,
-                outputDir: videoOutputDir
-            };
-        }
+    // A resumed run skips videos that were already uploaded (their frames may have been deleted locally)
+    if (state && state.resuming && !options.force && state.isDone(getStateKey(video), 'upload')) {
+        const extract = state.get(getStateKey(video)).extract || {};
+        return {
+            success: true,
+            cached: true,
+            video,
+            index,
+            frameCount: extract.frameCount || 0,
+            elapsedTime: '0.00',
+            duration: extract.duration,
+            outputDir: videoOutputDir
+        };
+    }
+
+    // Skip videos whose completion marker matches the current settings and frames on disk
+    // (previews asked for since are still made from the frames)
+    const completion = checkCompletion(videoOutputDir, video, options);
+    if (completion.complete && !options.force) {
+        return addPreviews({
+            success: true,
+            cached: true,
+            video,
+            index,
+            frameCount: completion.marker.frameCount,
+            elapsedTime: '0.00',
+            duration: completion.marker.duration,
+            outputDir: videoOutputDir
+        }, options);
+    }
+
+    // Partial, stale or forced output is cleared so no old frames mix with the new ones
+    const reextractReason = options.force && fs.existsSync(videoOutputDir) ? '--force' : completion.reason;
+    if (reextractReason) {
+        clearVideoOutput(videoOutputDir, [options.imageFormat, completion.previousFormat]);
     }
 
     // Create output subdirectory with retry for network filesystems (like Google Drive)
@@ -178,26 +590,185 @@ async function processSingleVideo(video, index, total, outputDir, options) {
         }
     }
 
-    // Small delay to prevent race conditions with parallel writes to network drives
-    await new Promise(resolve => setTimeout(resolve, 100 * index));
+    // Don't start when the disk guard has tripped in the meantime
+    const { guard } = options;
+    if (guard && guard.check()) {
+        return notStartedResult(video, index, videoOutputDir, guard.reason);
+    }
+
+    // Marks the folder as incomplete until every frame and report has been written
+    fs.writeFileSync(markerPath, JSON.stringify({ startedAt: new Date().toISOString() }, null, 2));
+    if (guard) guard.begin(videoOutputDir);
+    if (state) state.update(getStateKey(video), 'extract', 'running', { outputDir: path.relative(outputDir, videoOutputDir) });
+
+    // --video-timeout: kill this video's ffmpeg runs once it has taken too long
+    // (the reason is kept here: AbortSignal.reason needs Node 17.2)
+    const timeout = new AbortController();
+    let timeoutError = null;
+    const timer = options.videoTimeout
+        ? setTimeout(() => {
+            timeoutError = new Error(`timed out after ${options.videoTimeout}s`);
+            timeout.abort();
+        }, options.videoTimeout * 1000)
+        : null;
+    const { signal } = timeout;
 
     try {
-        // Get video duration
+        // Get video duration and stream details
         const duration = await getVideoDuration(video.path);
+        const probe = await getVideoInfo(video.path);
+
+        // Resize/crop/pad geometry for this video's dimensions
+        let transform = null;
+        if (options.transform) {
+            const source = getSourceDimensions(probe);
+            if (!source) {
+                throw new Error('Could not determine video dimensions for --resize/--crop');
+            }
+            transform = computeTransform(source, options.transform);
+        }
+        const videoFilters = transform ? getTransformFilters(transform) : [];
+
+        // Every written frame with its source timestamp, across all time windows
+        const frames = [];
+        let timestampInfo = null;
+        const segmentInfo = [];
+
+        // Live progress of the run (percent, frames, speed), reported under this video's index
+        const { progress } = options;
+
+        if (options.timestamps || options.count) {
+            // Explicit or sampled timestamps replace the fps/mode selection
+            const timestamps = options.timestamps
+                ? getTimestampsForVideo(options.timestamps, video)
+                : getCountTimestamps(video, duration, options);
+            if (progress) progress.setWeight(index, duration);
+
+            const { extracted, missing } = await extractFramesAtTimestamps(video.path, videoOutputDir, timestamps, {
+                quality: options.quality,
+                imageFormat: options.imageFormat,
+                format: options.format,
+                videoFilters,
+                videoName: sanitizedName,
+                verbose: options.verbose,
+                signal,
+                onProgress: progress ? update => progress.update(index, update) : null
+            });
 
-        await extractFrames(video.path, videoOutputDir, {
-            quality: options.quality,
-            format: options.format,
-            fps: options.fps,
-            startTime: options.startTime,
-            endTime: options.endTime,
-            verbose: options.verbose
-        });
+            frames.push(...extracted);
+            timestampInfo = { requested: timestamps.length, extracted: extracted.length, missing };
+        } else {
+            // Each --segments window goes into the same folder under its own filename prefix
+            const windows = options.segments || [{ start: options.startTime, end: options.endTime }];
+
+            // Progress is the share of the windows' seconds ffmpeg has got through
+            const lengths = windows.map(window => getWindowLength(window, duration));
+            const weight = lengths.includes(null) ? null : lengths.reduce((sum, length) => sum + length, 0);
+            if (progress) progress.setWeight(index, weight);
+            let windowsDone = 0;
+
+            for (const [i, window] of windows.entries()) {
+                const prefix = options.segments ? segmentPrefix(i) : '';
+                const framesBefore = frames.length;
+
+                const windowFrames = await extractFrames(video.path, videoOutputDir, {
+                    quality: options.quality,
+                    imageFormat: options.imageFormat,
+                    format: prefix + options.format,
+                    fps: options.fps,
+                    startTime: window.start,
+                    endTime: window.end,
+                    mode: options.mode,
+                    sceneThreshold: options.sceneThreshold,
+                    select: options.select,
+                    videoFilters,
+                    videoName: sanitizedName,
+                    verbose: options.verbose,
+                    signal,
+                    onProgress: progress ? ({ frames: written, time, speed }) => progress.update(index, {
+                        frames: framesBefore + written,
+                        fraction: weight && time !== null ? Math.min(1, (windowsDone + time) / weight) : 0,
+                        speed
+                    }) : null
+                });
+                windowsDone += lengths[i] || 0;
+
+                if (options.segments) {
+                    windowFrames.forEach(frame => { frame.segment = i + 1; });
+                    segmentInfo.push({
+                        index: i + 1,
+                        start: window.start,
+                        end: window.end,
+                        prefix,
+                        frameCount: windowFrames.length
+                    });
+                }
+
+                frames.push(...windowFrames);
+            }
+        }
+
+        const keyframeInfo = options.mode === 'keyframes' && !timestampInfo
+            ? { count: frames.length, timestamps: frames.map(frame => frame.pts) }
+            : null;
+
+        const selectionInfo = options.select === 'best' && !timestampInfo
+            ? { intervals: frames.length, candidates: frames.reduce((sum, frame) => sum + frame.candidates, 0) }
+            : null;
+
+        // Drop low-quality frames, then near-duplicates, before the frame map and reports are written
+        let keptFrames = frames;
+        let rejectInfo = null;
+        let dedupInfo = null;
+
+        if (options.reject && frames.length > 0) {
+            const { kept, rejected } = await filterFrames(videoOutputDir, frames, {
+                checks: options.reject,
+                thresholds: options.rejectThresholds,
+                verbose: options.verbose,
+                signal
+            });
+
+            keptFrames = kept;
+            rejectInfo = {
+                kept: kept.length,
+                rejected: rejected.length,
+                reasons: countReasons(rejected),
+                frames: rejected.map(({ file, pts, reason }) => ({ file, pts, reason })),
+                report: writeQualityReport(videoOutputDir, video.path, options.reject, options.rejectThresholds, kept, rejected)
+            };
+        }
+
+        if (options.dedup && keptFrames.length > 1) {
+            const { kept, removed } = await dedupeFrames(videoOutputDir, keptFrames, {
+                threshold: options.dedupThreshold,
+                verbose: options.verbose,
+                signal
+            });
+
+            keptFrames = kept;
+            dedupInfo = {
+                kept: kept.length,
+                dropped: removed.length,
+                report: writeDedupReport(videoOutputDir, video.path, options.dedupThreshold, kept, removed)
+            };
+        }
+
+        const frameMap = writeFrameMap(video.path, videoOutputDir, keptFrames);
+
+        const sceneReport = options.mode === 'scene' && !timestampInfo
+            ? writeSceneReport(video.path, videoOutputDir, keptFrames.map(frame => ({
+                file: frame.file,
+                time: frame.pts,
+                timecode: formatDuration(frame.pts),
+                score: frame.score
+            })), options.sceneThreshold)
+            : null;
 
         const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        const frameCount = countExtractedFrames(videoOutputDir);
+        const frameCount = countExtractedFrames(videoOutputDir, options.imageFormat);
 
-        return {
+        const result = {
             success: true,
             cached: false,
             video,
@@ -205,89 +776,458 @@ async function processSingleVideo(video, index, total, outputDir, options) {
             frameCount,
             elapsedTime,
             duration,
+            frameMap,
+            sceneReport,
+            keyframes: keyframeInfo,
+            selection: selectionInfo,
+            timestamps: timestampInfo,
+            segments: options.segments ? segmentInfo : null,
+            transform,
+            rejected: rejectInfo,
+            dedup: dedupInfo,
+            reextractReason,
             outputDir: videoOutputDir
         };
+
+        await addPreviews(result, options, signal);
+        result.metadata = writeVideoMetadata(result, options, probe);
+        writeCompletionMarker(videoOutputDir, video, options, result);
+        fs.unlinkSync(markerPath);
+        if (guard) guard.finish(videoOutputDir);
+        return result;
     } catch (error) {
+        if (guard) guard.finish(videoOutputDir);
+
+        // Stopped by the disk guard, a cancelled run or the timeout: keep the marker (with the
+        // reason) so the next run redoes it. Only timeouts count as failures.
+        const stopReason = guard && guard.reason;
+        const timedOut = !stopReason && timeoutError !== null;
+        if (stopReason || timedOut) {
+            fs.writeFileSync(markerPath, JSON.stringify({
+                stoppedAt: new Date().toISOString(),
+                reason: stopReason || timeoutError.message
+            }, null, 2));
+        }
+
         return {
             success: false,
             cached: false,
+            incomplete: Boolean(stopReason),
             video,
             index,
-            error: error.message,
+            error: stopReason ? `Stopped: ${stopReason}` : (timedOut ? `Timed out after ${options.videoTimeout}s` : error.message),
             outputDir: videoOutputDir
         };
+    } finally {
+        clearTimeout(timer);
     }
 }
 
 /**
- * Process videos in parallel batches
+ * Make the --contact-sheet/--sprites previews of a finished video. They are extras: a
+ * failure is recorded on the result as previewError and the video still counts as done.
  */
-async function processVideosParallel(videos, outputDir, options, concurrency) {
+async function addPreviews(result, options, signal) {
+    if (!options.previews) {
+        return result;
+    }
+
+    try {
+        result.previews = await createPreviews(result.outputDir, options.previews, { verbose: options.verbose, signal });
+    } catch (error) {
+        result.previewError = error.message.split('\n')[0];
+    }
+    return result;
+}
+
+/**
+ * Record a video's extract stage (done, incomplete or failed) in the run state
+ */
+function recordExtractResult(state, outputDir, result) {
+    if (!state) return;
+
+    const status = result.success ? 'done' : (result.incomplete ? 'incomplete' : 'failed');
+    state.update(getStateKey(result.video), 'extract', status, {
+        outputDir: path.relative(outputDir, result.outputDir),
+        frameCount: result.success ? result.frameCount : null,
+        duration: result.duration === undefined ? null : result.duration,
+        error: result.error || null
+    });
+}
+
+/**
+ * Result for a video that was never started because the disk guard tripped
+ */
+function notStartedResult(video, index, videoOutputDir, reason) {
+    return {
+        success: false,
+        cached: false,
+        incomplete: true,
+        video,
+        index,
+        error: `Not started: ${reason}`,
+        outputDir: videoOutputDir
+    };
+}
+
+/**
+ * Extraction stage: push(video) extracts one video with at most `concurrency` running at
+ * once and resolves with its result, printing per-video progress under a live status.
+ * The disk guard (or a cancelled run) stops new videos, which resolve as not started, and
+ * the run state records each one. With options.uploads every finished video is handed to
+ * the upload stage at once. Running videos show their percent, frames and speed plus an
+ * ETA for the run: on the live status in a terminal, otherwise (or with --quiet) as a plain
+ * line every so often.
+ * skip() takes a video that will never arrive (failed download, filtered out) off the total.
+ * finish() waits for those uploads and resolves with the results (in push order) and counts.
+ */
+function createExtractionQueue(outputDir, options, concurrency, initialTotal) {
+    let total = initialTotal;
     const results = [];
+    const pendingUploads = [];
     let completed = 0;
     let successCount = 0;
     let cachedCount = 0;
     let failCount = 0;
     let totalFrames = 0;
+    let droppedFrames = 0;
+    let rejectedFrames = 0;
+    let incompleteCount = 0;
+    let notStarted = 0;
     const quiet = options.quiet || false;
+    const status = createLiveStatus('Extracting', total, !quiet);
+    const log = line => status.log(line);
+
+    // Per-video progress and the run's ETA, keyed by video index
+    const runProgress = createRunProgress(total);
+    const runningNames = new Map();
+    const showProgress = () => {
+        if (status.live) {
+            for (const [index, name] of runningNames) {
+                status.setDetail(name, runProgress.describe(index));
+            }
+            status.setSummary(runProgress.describeEstimate());
+            return;
+        }
 
-    // Process in batches
-    for (let i = 0; i < videos.length; i += concurrency) {
-        const batch = videos.slice(i, Math.min(i + concurrency, videos.length));
-        const batchNumber = Math.floor(i / concurrency) + 1;
-        const totalBatches = Math.ceil(videos.length / concurrency);
+        if (runningNames.size === 0) return;
+        const estimate = runProgress.describeEstimate();
+        const running = [...runningNames].map(([index, name]) => `${name} ${runProgress.describe(index)}`);
+        log(chalk.gray(`  … ${completed}/${total} done${estimate ? `, ${estimate}` : ''} | ${running.join(' | ')}`));
+    };
+    const progressTimer = setInterval(showProgress, status.live ? LIVE_REFRESH_MS : PLAIN_PROGRESS_INTERVAL_MS);
+    progressTimer.unref();
+
+    // --log-format json: the same progress as an event every few seconds
+    const eventTimer = isJsonLogs() ? setInterval(() => {
+        if (runningNames.size === 0) return;
+        const { percent, eta } = runProgress.estimate();
+        emitEvent('extract.progress', {
+            completed,
+            total,
+            percent,
+            eta: eta === null ? null : Math.round(eta),
+            running: [...runningNames].map(([index, name]) => ({ name, ...runProgress.get(index) }))
+        });
+    }, JSON_PROGRESS_INTERVAL_MS) : null;
+    if (eventTimer) eventTimer.unref();
+
+    const emitResult = (result) => emitEvent('extract.result', {
+        name: result.video.name,
+        source: result.video.url || result.video.path,
+        outputDir: path.relative(outputDir, result.outputDir) || '.',
+        status: getStatus(result),
+        frameCount: result.success ? result.frameCount : null,
+        elapsedTime: result.elapsedTime ? parseFloat(result.elapsedTime) : null,
+        reextracted: result.reextractReason || null,
+        error: result.error || null
+    });
 
-        if (!quiet) {
-            console.log(`\n[Batch ${batchNumber}/${totalBatches}] Processing ${batch.length} video(s)...`);
+    // Stop scheduling (and stop running extractions) when the disk fills up or the budget is spent
+    const guard = createDiskGuard({
+        outputDir,
+        minFreeSpace: options.minFreeSpace,
+        maxOutput: options.maxOutput,
+        onTrip: (reason) => {
+            log(chalk.red(`\n✖ Stopping extraction: ${reason}`));
+            terminateFfmpeg();
+        },
+        onWarning: (message) => log(chalk.yellow(`⚠ ${message}`))
+    });
+    const runOptions = { ...options, guard, progress: runProgress };
+    guard.start();
+
+    // Ctrl-C/SIGTERM stops extraction the same way, marking running videos incomplete
+    const removeCancelHandler = onCancel(reason => guard.trip(reason));
+
+    const reportResult = (result) => {
+        completed++;
+        const progress = `[${completed}/${total}]`;
+
+        // Record each video in the run state as soon as it finishes
+        recordExtractResult(options.state, outputDir, result);
+        emitResult(result);
+
+        if (result.success) {
+            totalFrames += result.frameCount;
+            const previewWarning = result.previewError ? chalk.yellow(`    ⚠ Previews not made: ${result.previewError}`) : null;
+            if (result.cached) {
+                cachedCount++;
+                if (!quiet) {
+                    log(`  ${progress} ⏭ ${result.video.name}: ${result.frameCount} frames (cached)`);
+                }
+                if (previewWarning) log(previewWarning);
+                return;
+            }
+
+            successCount++;
+            if (result.rejected) {
+                rejectedFrames += result.rejected.rejected;
+            }
+            if (result.dedup) {
+                droppedFrames += result.dedup.dropped;
+            }
+            if (!quiet) {
+                const unit = result.keyframes ? 'keyframes' : 'frames';
+                const droppedStr = describeDropped(
+                    result.rejected && result.rejected.rejected,
+                    result.dedup && result.dedup.dropped
+                );
+                log(`  ${progress} ✔ ${result.video.name}: ${result.frameCount} ${unit}${droppedStr} in ${result.elapsedTime}s`);
+            }
+            if (previewWarning) log(previewWarning);
+            if (result.reextractReason && !quiet) {
+                log(chalk.gray(`    Re-extracted: ${result.reextractReason}`));
+            }
+            if (result.rejected && options.verbose) {
+                for (const frame of result.rejected.frames) {
+                    log(chalk.gray(`    Rejected ${frame.file} (${frame.reason})`));
+                }
+            }
+            if (result.timestamps && result.timestamps.missing.length > 0) {
+                log(chalk.yellow(`    ⚠ No frame at: ${result.timestamps.missing.join('s, ')}s (past end of video?)`));
+            }
+            if (result.segments && options.verbose) {
+                for (const segment of result.segments) {
+                    log(chalk.gray(`    Segment ${segment.index} (${segment.start}s-${segment.end}s): ${segment.frameCount} frames`));
+                }
+            }
+            if (result.selection && options.verbose) {
+                log(chalk.gray(`    Best of ${result.selection.candidates} candidate frames across ${result.selection.intervals} intervals`));
+            }
+            if (result.keyframes && options.verbose) {
+                log(chalk.gray(`    Keyframes at: ${result.keyframes.timestamps.join('s, ')}s`));
+            }
+        } else if (result.incomplete) {
+            incompleteCount++;
+            log(chalk.yellow(`  ${progress} ⏸ ${result.video.name}: incomplete (${result.error})`));
+        } else {
+            failCount++;
+            log(`  ${progress} ✖ ${result.video.name}: ${result.error}`);
         }
+    };
+
+    const queue = createWorkQueue(
+        concurrency,
+        ({ video, index }) => processSingleVideo(video, index, total, outputDir, runOptions),
+        {
+            onStart: ({ video, index }) => {
+                emitEvent('extract.started', { name: video.name, source: video.url || video.path });
+                runningNames.set(index, video.name);
+                runProgress.start(index);
+                status.start(video.name);
+            },
+            onFinish: (result, { video, index }) => {
+                runningNames.delete(index);
+                runProgress.finish(index, result.cached);
+                status.finish(video.name);
+                reportResult(result);
+            },
+            shouldStop: () => Boolean(guard.check())
+        }
+    );
 
-        const batchStartTime = Date.now();
-
-        // Process batch in parallel
-        const batchPromises = batch.map((video, batchIndex) =>
-            processSingleVideo(
-                video,
-                i + batchIndex,
-                videos.length,
-                outputDir,
-                options
-            )
-        );
+    return {
+        get stopReason() {
+            return guard.reason;
+        },
+
+        skip() {
+            total--;
+            status.setTotal(total);
+            runProgress.setTotal(total);
+        },
+
+        async push(video) {
+            const index = results.length;
+            results.push(null);
+
+            let result = await queue.push({ video, index });
+
+            // Not started because the disk guard tripped or the run was cancelled: left for the next run
+            if (!result) {
+                const videoOutputDir = path.join(outputDir, video.outputName || sanitizeFilename(video.name));
+                result = notStartedResult(video, index, videoOutputDir, guard.reason);
+                recordExtractResult(options.state, outputDir, result);
+                emitResult(result);
+                incompleteCount++;
+                notStarted++;
+            }
 
-        const batchResults = await Promise.all(batchPromises);
-
-        const batchTime = ((Date.now() - batchStartTime) / 1000).toFixed(2);
-
-        // Process results
-        for (const result of batchResults) {
-            completed++;
-            results.push(result);
-
-            if (result.success) {
-                totalFrames += result.frameCount;
-                if (result.cached) {
-                    cachedCount++;
-                    if (!quiet) {
-                        console.log(`  ⏭ ${result.video.name}: ${result.frameCount} frames (cached)`);
-                    }
-                } else {
-                    successCount++;
-                    if (!quiet) {
-                        console.log(`  ✔ ${result.video.name}: ${result.frameCount} frames`);
-                    }
-                }
-            } else {
-                failCount++;
-                console.log(`  ✖ ${result.video.name}: ${result.error}`);
+            results[index] = result;
+            if (options.uploads && result.success) {
+                pendingUploads.push(options.uploads.upload(result.outputDir));
+            }
+            return result;
+        },
+
+        async finish() {
+            clearInterval(progressTimer);
+            clearInterval(eventTimer);
+            status.stop();
+            guard.stop();
+            removeCancelHandler();
+
+            if (notStarted > 0) {
+                console.log(chalk.yellow(`  ⏸ ${notStarted} video(s) not started`));
             }
+            if (guard.reason) {
+                const advice = isCancelled() ? 're-run' : 'free up space (or raise the limit) and re-run';
+                console.log(chalk.yellow(`⚠ ${incompleteCount} video(s) marked incomplete; ${advice} to finish them`));
+            }
+
+            await Promise.all(pendingUploads);
+            return { results, successCount, cachedCount, failCount, incompleteCount, totalFrames, droppedFrames, rejectedFrames };
         }
+    };
+}
+
+/**
+ * Extract a list of videos with a pool of `concurrency` workers, each starting the next video as soon as it is free
+ */
+async function processVideosParallel(videos, outputDir, options, concurrency) {
+    const extraction = createExtractionQueue(outputDir, options, concurrency, videos.length);
+    await Promise.all(videos.map(video => extraction.push(video)));
+    return extraction.finish();
+}
+
+/**
+ * Number of videos to extract at once: 'auto' is half the CPU cores; never more than there are videos
+ */
+function resolveConcurrency(userConcurrency, videoCount) {
+    const defaultConcurrency = Math.max(1, Math.floor(os.cpus().length / 2));
+    const concurrency = userConcurrency === 'auto'
+        ? defaultConcurrency
+        : parseInt(userConcurrency, 10) || defaultConcurrency;
+
+    return Math.max(1, Math.min(concurrency, videoCount));
+}
+
+/**
+ * Write the run manifest (and report.html with --html-report) and print the closing summary line
+ * extra: { downloadFailures, skipped, options } for the manifest
+ * Resolves with { startedAt, summary, failures, manifest, htmlReport } for the exit code and --report
+ */
+async function finishRun(outputDir, startedAt, run, extra) {
+    const { results, successCount, cachedCount, failCount, incompleteCount, totalFrames, droppedFrames, rejectedFrames } = run;
+    const { options, downloadFailures = [], skipped = [] } = extra;
+
+    // Machine-readable record of the run
+    const manifest = writeRunManifest(outputDir, { startedAt, results, ...extra });
+
+    const totalTime = ((Date.now() - startedAt) / 1000).toFixed(2);
+    const cachedStr = cachedCount > 0 ? `, ${cachedCount} cached` : '';
+    const droppedStr = describeDropped(options.reject && rejectedFrames, options.dedup && droppedFrames);
+    const incompleteStr = incompleteCount > 0 ? `, ${incompleteCount} incomplete` : '';
+
+    console.log(`\nDone: ${successCount} extracted${cachedStr}, ${failCount} failed${incompleteStr}, ${totalFrames} frames${droppedStr} in ${totalTime}s`);
 
-        if (!quiet) {
-            console.log(`  Batch done in ${batchTime}s`);
+    // A report that can't be written (disk full, thumbnails failing) doesn't fail the run
+    let htmlReport = null;
+    if (options.htmlReport) {
+        try {
+            htmlReport = await writeHtmlReport(outputDir, { startedAt, results, downloadFailures, skipped, options });
+            console.log(chalk.gray(`📄 HTML report: ${htmlReport}`));
+        } catch (error) {
+            console.log(chalk.yellow(`⚠ Could not write the HTML report: ${error.message}`));
         }
     }
 
-    return { results, successCount, cachedCount, failCount, totalFrames };
+    return {
+        startedAt: new Date(startedAt).toISOString(),
+        summary: {
+            videos: results.length,
+            extracted: successCount,
+            cached: cachedCount,
+            failed: failCount,
+            incomplete: incompleteCount,
+            downloadFailed: downloadFailures.length,
+            skipped: skipped.filter(entry => entry.filter !== 'extension').length,
+            totalFrames,
+            elapsedTime: parseFloat(totalTime)
+        },
+        failures: [
+            ...results.filter(result => !result.success).map(result => ({
+                name: result.video.name,
+                source: result.video.url || result.video.path,
+                status: getStatus(result),
+                error: result.error
+            })),
+            ...downloadFailures.map(failure => ({
+                name: null,
+                source: failure.url,
+                status: 'download-failed',
+                error: failure.error
+            }))
+        ],
+        manifest,
+        htmlReport
+    };
+}
+
+/**
+ * " (N rejected, M duplicates dropped)" suffix for summary lines; non-numbers mean the stage didn't run
+ */
+function describeDropped(rejected, duplicates) {
+    const parts = [];
+    if (typeof rejected === 'number') parts.push(`${rejected} rejected`);
+    if (typeof duplicates === 'number') parts.push(`${duplicates} duplicates dropped`);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Spread --count frames across the video (or the --start/--end window)
+ */
+function getCountTimestamps(video, duration, options) {
+    if (!duration) {
+        throw new Error('Could not determine video duration for --count sampling');
+    }
+
+    const windowStart = Math.min(parseTime(options.startTime) || 0, duration);
+    const windowEnd = Math.min(parseTime(options.endTime) || duration, duration);
+
+    if (windowEnd <= windowStart) {
+        throw new Error(`Empty time window (${windowStart}s - ${windowEnd}s) for --count sampling`);
+    }
+
+    return getSampleTimestamps(options.count, windowStart, windowEnd, {
+        sampling: options.sampling,
+        seed: options.seed,
+        key: video.name
+    });
+}
+
+/**
+ * Keep only the videos that have timestamps to extract
+ */
+function filterVideosWithTimestamps(videos, timestamps) {
+    const matched = videos.filter(video => getTimestampsForVideo(timestamps, video));
+
+    if (matched.length < videos.length) {
+        console.log(`Skipping ${videos.length - matched.length} video(s) with no timestamps`);
+    }
+
+    return matched;
 }
 
 /**
@@ -298,11 +1238,34 @@ async function processVideos(config) {
         inputDir,
         outputDir,
         quality,
+        imageFormat,
         format,
         extensions,
         fps,
         startTime,
         endTime,
+        mode,
+        sceneThreshold,
+        select,
+        timestamps,
+        count,
+        sampling,
+        seed,
+        segments,
+        layout,
+        transform,
+        reject,
+        rejectThresholds,
+        dedup,
+        dedupThreshold,
+        discovery = {},
+        minFreeSpace,
+        maxOutput,
+        videoTimeout,
+        previews,
+        htmlReport,
+        state,
+        uploads,
         dryRun,
         verbose,
         quiet,
@@ -310,24 +1273,24 @@ async function processVideos(config) {
         concurrency: userConcurrency
     } = config;
 
-    // Determine concurrency
-    const cpuCount = os.cpus().length;
-    const defaultConcurrency = Math.max(1, Math.floor(cpuCount / 2));
+    // Find all video files that pass the path, size and duration filters
+    const found = discoverVideoFiles(inputDir, { ...discovery, extensions });
+    const filtered = await applySizeDurationFilters(found.matched, discovery, inputDir);
+    const skipped = [...found.skipped, ...filtered.skipped];
+    let videos = filtered.matched;
 
-    // Find all video files
-    const videos = findVideoFiles(inputDir, extensions);
+    if (timestamps) {
+        videos = filterVideosWithTimestamps(videos, timestamps);
+    }
 
     if (videos.length === 0) {
         console.log('No video files found');
+        reportDiscovery(videos, skipped, dryRun || verbose);
+        emitDiscovered(videos, skipped);
         return;
     }
 
-    // Determine actual concurrency
-    let concurrency = userConcurrency === 'auto'
-        ? Math.min(defaultConcurrency, videos.length)
-        : Math.min(parseInt(userConcurrency, 10) || defaultConcurrency, videos.length);
-
-    concurrency = Math.max(1, concurrency);
+    const concurrency = resolveConcurrency(userConcurrency, videos.length);
 
     if (!quiet) {
         console.log(`Found ${videos.length} video(s), processing with concurrency ${concurrency}`);
@@ -335,26 +1298,29 @@ async function processVideos(config) {
         console.log(`Processing ${videos.length} video(s)...`);
     }
 
+    // One output folder per video, without merging videos that share a name
+    reportCollisions(assignOutputDirs(videos, layout), quiet);
+    reportDiscovery(videos, skipped, dryRun || verbose);
+    emitDiscovered(videos, skipped);
+
+    const options = {
+        quality, imageFormat, format, fps, startTime, endTime, mode, sceneThreshold, select,
+        timestamps, count, sampling, seed, segments, layout, transform, reject, rejectThresholds,
+        dedup, dedupThreshold, discovery, minFreeSpace, maxOutput, videoTimeout, previews, htmlReport, state, uploads,
+        verbose, quiet, force
+    };
+
     if (dryRun) {
         console.log('Dry run mode - no frames will be extracted');
+        await printRunEstimate(videos, outputDir, options);
         return;
     }
 
     const startTotalTime = Date.now();
 
     // Process videos in parallel
-    const { successCount, cachedCount, failCount, totalFrames } = await processVideosParallel(
-        videos,
-        outputDir,
-        { quality, format, fps, startTime, endTime, verbose, quiet, force },
-        concurrency
-    );
-
-    // Summary
-    const totalTime = ((Date.now() - startTotalTime) / 1000).toFixed(2);
-    const cachedStr = cachedCount > 0 ? `, ${cachedCount} cached` : '';
-
-    console.log(`\nDone: ${successCount} extracted${cachedStr}, ${failCount} failed, ${totalFrames} frames in ${totalTime}s`);
+    const run = await processVideosParallel(videos, outputDir, options, concurrency);
+    return finishRun(outputDir, startTotalTime, run, { skipped, options });
 }
 
 /**
@@ -362,13 +1328,37 @@ async function processVideos(config) {
  */
 async function processVideosFromList(config) {
     const {
-        videos,
+        videos: listedVideos,
+        downloadFailures = [],
         outputDir,
         quality,
+        imageFormat,
         format,
         fps,
         startTime,
         endTime,
+        mode,
+        sceneThreshold,
+        select,
+        timestamps,
+        count,
+        sampling,
+        seed,
+        segments,
+        layout,
+        transform,
+        reject,
+        rejectThresholds,
+        dedup,
+        dedupThreshold,
+        discovery = {},
+        minFreeSpace,
+        maxOutput,
+        videoTimeout,
+        previews,
+        htmlReport,
+        state,
+        uploads,
         dryRun,
         verbose,
         quiet,
@@ -376,21 +1366,19 @@ async function processVideosFromList(config) {
         concurrency: userConcurrency
     } = config;
 
-    // Determine concurrency
-    const cpuCount = os.cpus().length;
-    const defaultConcurrency = Math.max(1, Math.floor(cpuCount / 2));
+    // Downloaded videos have no input tree, but the size and duration filters still apply
+    const filtered = await applySizeDurationFilters(listedVideos, discovery);
+    const skipped = filtered.skipped;
+    const videos = timestamps ? filterVideosWithTimestamps(filtered.matched, timestamps) : filtered.matched;
 
     if (videos.length === 0) {
         console.log('No videos to process');
+        reportDiscovery(videos, skipped, dryRun || verbose);
+        emitDiscovered(videos, skipped);
         return;
     }
 
-    // Determine actual concurrency
-    let concurrency = userConcurrency === 'auto'
-        ? Math.min(defaultConcurrency, videos.length)
-        : Math.min(parseInt(userConcurrency, 10) || defaultConcurrency, videos.length);
-
-    concurrency = Math.max(1, concurrency);
+    const concurrency = resolveConcurrency(userConcurrency, videos.length);
 
     if (!quiet) {
         console.log(`Processing ${videos.length} video(s) with concurrency ${concurrency}`);
@@ -398,31 +1386,110 @@ async function processVideosFromList(config) {
         console.log(`Processing ${videos.length} video(s)...`);
     }
 
+    // One output folder per video, without merging videos that share a name
+    reportCollisions(assignOutputDirs(videos, layout), quiet);
+    reportDiscovery(videos, skipped, dryRun || verbose);
+    emitDiscovered(videos, skipped);
+
+    const options = {
+        quality, imageFormat, format, fps, startTime, endTime, mode, sceneThreshold, select,
+        timestamps, count, sampling, seed, segments, layout, transform, reject, rejectThresholds,
+        dedup, dedupThreshold, discovery, minFreeSpace, maxOutput, videoTimeout, previews, htmlReport, state, uploads,
+        verbose, quiet, force
+    };
+
     if (dryRun) {
         console.log('Dry run mode - no frames will be extracted');
+        await printRunEstimate(videos, outputDir, options);
         return;
     }
 
     const startTotalTime = Date.now();
 
     // Process videos in parallel
-    const { successCount, cachedCount, failCount, totalFrames } = await processVideosParallel(
-        videos,
-        outputDir,
-        { quality, format, fps, startTime, endTime, verbose, quiet, force },
-        concurrency
-    );
+    const run = await processVideosParallel(videos, outputDir, options, concurrency);
+    return finishRun(outputDir, startTotalTime, run, { downloadFailures, skipped, options });
+}
 
-    // Summary
-    const totalTime = ((Date.now() - startTotalTime) / 1000).toFixed(2);
-    const cachedStr = cachedCount > 0 ? `, ${cachedCount} cached` : '';
+/**
+ * Download, extract and upload a list of URLs as a stream: each video is extracted as soon
+ * as its download finishes and uploaded (config.uploads) as soon as its extraction
+ * finishes, so downloads, extraction and uploads all run at the same time, each with its
+ * own concurrency limit
+ */
+async function processUrls(config) {
+    const { urls, downloadDir, downloadConcurrency, concurrency: userConcurrency, ...options } = config;
+    const { outputDir, discovery = {}, timestamps, layout, state, verbose, quiet } = options;
+
+    const concurrency = resolveConcurrency(userConcurrency, urls.length);
+    const startTotalTime = Date.now();
+    const downloadFailures = [];
+    const skipped = [];
+    const extracting = new Set();
+
+    // Folders are handed out in URL list order, before anything downloads, so the same
+    // list always gives the same folders however the downloads finish
+    const listed = urls.map(url => ({ name: getFilenameFromUrl(url), url }));
+    const nameOutput = createOutputNamer(layout);
+    const listCollisions = listed.map(nameOutput);
+
+    console.log(`Processing ${urls.length} URL(s): ${downloadConcurrency} download(s) and ${concurrency} extraction(s) at once`);
+    emitDiscovered(listed, []);
+
+    const extraction = createExtractionQueue(outputDir, options, concurrency, urls.length);
+
+    // Nothing more is downloaded once the disk guard has stopped extraction
+    const downloads = createDownloadQueue(downloadDir, urls.length, {
+        concurrency: downloadConcurrency,
+        verbose,
+        state,
+        shouldStop: () => Boolean(extraction.stopReason)
+    });
+
+    await Promise.all(urls.map(async (url, index) => {
+        const download = await downloads.push(url);
+        let video;
+
+        if (!download) {
+            // Never downloaded: recorded as not started so the next run picks it up
+            video = { path: null, name: getFilenameFromUrl(url), url };
+        } else if (!download.success) {
+            downloadFailures.push({ url, error: download.error });
+            extraction.skip();
+            return;
+        } else {
+            video = getDownloadedVideo(download);
+
+            const filtered = await applySizeDurationFilters([video], discovery);
+            if (filtered.skipped.length > 0) {
+                skipped.push(...filtered.skipped);
+                extraction.skip();
+                return;
+            }
+            if (timestamps && !getTimestampsForVideo(timestamps, video)) {
+                skipped.push({ path: url, filter: 'timestamps', reason: 'no timestamps for this video' });
+                extraction.skip();
+                return;
+            }
+        }
+
+        video.outputName = listed[index].outputName;
+        extracting.add(index);
+
+        await extraction.push(video);
+    }));
+
+    downloads.finish();
+    const run = await extraction.finish();
 
-    console.log(`\nDone: ${successCount} extracted${cachedStr}, ${failCount} failed, ${totalFrames} frames in ${totalTime}s`);
+    reportCollisions(listCollisions.filter((collision, index) => collision && extracting.has(index)), quiet);
+    reportDiscovery([], skipped, verbose);
+    return finishRun(outputDir, startTotalTime, run, { downloadFailures, skipped, options });
 }
 
 module.exports = {
     processVideos,
     processVideosFromList,
-    findVideoFiles,
+    processUrls,
     extractFrames
 };
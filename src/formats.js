@@ -0,0 +1,107 @@
+/**
+ * Output image formats: file extension, MIME type and ffmpeg encoder settings
+ * quality describes the --quality range for the format (null = not applicable)
+ * bytesPerPixel is a rough average frame size at the default quality, for --dry-run estimates
+ */
+const IMAGE_FORMATS = {
+    png: {
+        extension: 'png',
+        mimeType: 'image/png',
+        codec: 'png',
+        pixFmt: 'rgb24',
+        quality: { min: 0, max: 9, default: 2, description: '0=best, 9=fastest' },
+        qualityArgs: quality => ['-compression_level', quality.toString()],
+        bytesPerPixel: 1.6
+    },
+    png16: {
+        extension: 'png',
+        mimeType: 'image/png',
+        codec: 'png',
+        pixFmt: 'rgb48be',  // 16 bits per channel
+        quality: { min: 0, max: 9, default: 2, description: '0=best, 9=fastest' },
+        qualityArgs: quality => ['-compression_level', quality.toString()],
+        bytesPerPixel: 3.8
+    },
+    jpg: {
+        extension: 'jpg',
+        mimeType: 'image/jpeg',
+        codec: 'mjpeg',
+        pixFmt: 'yuvj444p',  // No chroma subsampling
+        quality: { min: 1, max: 31, default: 2, description: 'qscale, 1=best, 31=smallest' },
+        qualityArgs: quality => ['-q:v', quality.toString()],
+        bytesPerPixel: 0.45
+    },
+    webp: {
+        extension: 'webp',
+        mimeType: 'image/webp',
+        codec: 'libwebp',
+        pixFmt: 'yuv420p',
+        quality: { min: 0, max: 100, default: 90, description: '100=best, 0=smallest' },
+        qualityArgs: quality => ['-quality', quality.toString()],
+        bytesPerPixel: 0.2
+    },
+    tiff: {
+        extension: 'tiff',
+        mimeType: 'image/tiff',
+        codec: 'tiff',
+        pixFmt: 'rgb24',
+        quality: null,  // Lossless; always deflate-compressed
+        qualityArgs: () => ['-compression_algo', 'deflate'],
+        bytesPerPixel: 2.2
+    }
+};
+
+// Extensions recognised as extracted frames, whatever format produced them
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'tif', 'tiff'];
+
+/**
+ * Get the settings for an image format name
+ */
+function getImageFormat(name) {
+    return IMAGE_FORMATS[name || 'png'];
+}
+
+/**
+ * ffmpeg encoder arguments for an image format and quality
+ */
+function getEncoderArgs(name, quality) {
+    const format = getImageFormat(name);
+
+    return [
+        '-c:v', format.codec,
+        '-pix_fmt', format.pixFmt,
+        ...format.qualityArgs(quality)
+    ];
+}
+
+/**
+ * Give a filename pattern the extension of the chosen image format
+ * (frame_%06d.png -> frame_%06d.jpg)
+ */
+function withImageExtension(pattern, name) {
+    const { extension } = getImageFormat(name);
+    const current = pattern.match(/\.([a-z0-9]+)$/i);
+
+    if (current && IMAGE_EXTENSIONS.includes(current[1].toLowerCase())) {
+        return pattern.slice(0, -current[0].length) + '.' + extension;
+    }
+
+    return `${pattern}.${extension}`;
+}
+
+/**
+ * Check whether a filename is a frame of the given image format
+ */
+function isFrameFile(filename, name) {
+    const { extension } = getImageFormat(name);
+    return filename.toLowerCase().endsWith(`.${extension}`);
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    IMAGE_EXTENSIONS,
+    getImageFormat,
+    getEncoderArgs,
+    withImageExtension,
+    isFrameFile
+};
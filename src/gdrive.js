@@ -3,6 +3,10 @@ const path = require('path');
 const { google } = require('googleapis');
 const chalk = require('chalk');
 const ora = require('ora');
+const { getImageFormat, isFrameFile } = require('./formats');
+const { runPool, createWorkQueue, createLiveStatus } = require('./pool');
+const { isCancelled } = require('./cancel');
+const { emitEvent } = require('./events');
 
 // Define the scope for Google Drive API
 const SCOPES = ['https://www.googleapis.com/auth/drive.file'];
@@ -90,6 +94,34 @@ async function findFolder(auth, folderName, parentFolderId) {
     }
 }
 
+/**
+ * Names of the files already in a Google Drive folder (all pages)
+ */
+async function listFileNames(auth, folderId) {
+    const drive = google.drive({ version: 'v3', auth });
+    const names = new Set();
+    let pageToken;
+
+    try {
+        do {
+            const response = await drive.files.list({
+                q: `'${folderId}' in parents and trashed=false`,
+                fields: 'nextPageToken, files(name)',
+                pageSize: 1000,
+                spaces: 'drive',
+                pageToken
+            });
+
+            response.data.files.forEach(file => names.add(file.name));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+    } catch (error) {
+        throw new Error(`Error listing files in Google Drive: ${error.message}`);
+    }
+
+    return names;
+}
+
 /**
  * Get or create a folder in Google Drive
  */
@@ -133,43 +165,28 @@ async function uploadFile(auth, filePath, folderId, mimeType = 'image/png') {
 }
 
 /**
- * Upload files in parallel batches
+ * Upload files with a pool of `concurrency` workers; a cancelled run starts no further files
  */
-async function uploadFilesBatch(auth, files, folderId, concurrency = 5, verbose = false) {
-    const results = [];
+async function uploadFilesBatch(auth, files, folderId, concurrency = 5, verbose = false, mimeType = 'image/png') {
     let successCount = 0;
     let failCount = 0;
 
-    for (let i = 0; i < files.length; i += concurrency) {
-        const batch = files.slice(i, Math.min(i + concurrency, files.length));
-
-        const batchPromises = batch.map(async (filePath) => {
-            try {
-                const result = await uploadFile(auth, filePath, folderId);
-                return { success: true, file: filePath, driveId: result.id };
-            } catch (error) {
-                return { success: false, file: filePath, error: error.message };
+    const results = await runPool(files, concurrency, async (filePath) => {
+        try {
+            const result = await uploadFile(auth, filePath, folderId, mimeType);
+            successCount++;
+            if (verbose) {
+                console.log(chalk.gray(`      ✔ ${path.basename(filePath)}`));
             }
-        });
-
-        const batchResults = await Promise.all(batchPromises);
-
-        for (const result of batchResults) {
-            if (result.success) {
-                successCount++;
-                if (verbose) {
-                    console.log(chalk.gray(`      ✔ ${path.basename(result.file)}`));
-                }
-            } else {
-                failCount++;
-                if (verbose) {
-                    console.log(chalk.red(`      ✖ ${path.basename(result.file)}: ${result.error}`));
-                }
+            return { success: true, file: filePath, driveId: result.id };
+        } catch (error) {
+            failCount++;
+            if (verbose) {
+                console.log(chalk.red(`      ✖ ${path.basename(filePath)}: ${error.message}`));
             }
+            return { success: false, file: filePath, error: error.message };
         }
-
-        results.push(...batchResults);
-    }
+    }, { shouldStop: isCancelled });
 
     return { results, successCount, failCount };
 }
@@ -178,17 +195,17 @@ async function uploadFilesBatch(auth, files, folderId, concurrency = 5, verbose
  * Upload all frames from a video folder to Google Drive
  */
 async function uploadVideoFrames(auth, videoOutputDir, parentFolderId, options = {}) {
-    const { deleteAfterUpload = false, verbose = false, concurrency = 10 } = options;
+    const { deleteAfterUpload = false, verbose = false, concurrency = 10, imageFormat = 'png', skipExisting = false } = options;
 
     const videoName = path.basename(videoOutputDir);
 
-    // Get all PNG files in the directory
-    const files = fs.readdirSync(videoOutputDir)
-        .filter(f => f.endsWith('.png'))
+    // Get all frames of the chosen image format in the directory
+    const frameFiles = fs.readdirSync(videoOutputDir)
+        .filter(f => isFrameFile(f, imageFormat))
         .map(f => path.join(videoOutputDir, f))
         .sort();
 
-    if (files.length === 0) {
+    if (frameFiles.length === 0) {
         return { success: true, uploaded: 0, deleted: 0 };
     }
 
@@ -199,20 +216,34 @@ async function uploadVideoFrames(auth, videoOutputDir, parentFolderId, options =
         console.log(chalk.gray(`      Drive folder: ${videoName} (${videoFolder.id})`));
     }
 
-    // Upload files in batches
+    // Continuing an interrupted upload: don't upload frames the folder already has
+    let files = frameFiles;
+    if (skipExisting) {
+        const existing = await listFileNames(auth, videoFolder.id);
+        files = frameFiles.filter(file => !existing.has(path.basename(file)));
+
+        if (verbose) {
+            console.log(chalk.gray(`      ${frameFiles.length - files.length} frame(s) already on Drive`));
+        }
+    }
+
+    // Upload files through a worker pool
     const { successCount, failCount } = await uploadFilesBatch(
         auth,
         files,
         videoFolder.id,
         concurrency,
-        verbose
+        verbose,
+        getImageFormat(imageFormat).mimeType
     );
 
+    // Files left out because the run was cancelled; the folder is finished by the next run
+    const stoppedCount = files.length - successCount - failCount;
     let deletedCount = 0;
 
     // Delete local files after successful upload
-    if (deleteAfterUpload && successCount > 0) {
-        for (const filePath of files) {
+    if (deleteAfterUpload && stoppedCount === 0 && (successCount > 0 || files.length === 0)) {
+        for (const filePath of frameFiles) {
             try {
                 fs.unlinkSync(filePath);
                 deletedCount++;
@@ -235,10 +266,12 @@ async function uploadVideoFrames(auth, videoOutputDir, parentFolderId, options =
     }
 
     return {
-        success: failCount === 0,
+        success: failCount === 0 && stoppedCount === 0,
         uploaded: successCount,
         failed: failCount,
+        stopped: stoppedCount,
         deleted: deletedCount,
+        skipped: frameFiles.length - files.length,
         folderId: videoFolder.id,
         folderName: videoName
     };
@@ -270,10 +303,22 @@ async function initDriveUploader(credentialsPath) {
 }
 
 /**
- * Upload all video folders to Google Drive
+ * Connect to Google Drive and return the upload stage: upload(videoDir) uploads one video
+ * folder (recreating its path under outputDir in Drive) with at most folderConcurrency
+ * folders at once; finish() prints the upload summary. With a run state each upload is
+ * recorded and a resumed run skips finished ones. A cancelled run starts no further
+ * folders (their upload() resolves with undefined). Throws when Drive can't be reached.
  */
-async function uploadAllToGoogleDrive(outputDir, credentialsPath, folderId, options = {}) {
-    const { deleteAfterUpload = false, verbose = false, concurrency = 10 } = options;
+async function createDriveUploadQueue(outputDir, credentialsPath, folderId, options = {}) {
+    const {
+        deleteAfterUpload = false,
+        verbose = false,
+        concurrency = 10,
+        folderConcurrency = 2,
+        imageFormat = 'png',
+        state = null,
+        total = null
+    } = options;
 
     console.log(chalk.blue('\n☁️  Google Drive Upload'));
     console.log(chalk.blue('═══════════════════════════════════════════════════════════'));
@@ -287,96 +332,164 @@ async function uploadAllToGoogleDrive(outputDir, credentialsPath, folderId, opti
         spinner.succeed('Connected to Google Drive');
     } catch (error) {
         spinner.fail(`Failed to connect to Google Drive: ${error.message}`);
-        return { success: false, error: error.message };
+        throw error;
     }
 
-    // Get list of video folders
-    const videoDirs = fs.readdirSync(outputDir)
-        .map(name => path.join(outputDir, name))
-        .filter(p => fs.statSync(p).isDirectory());
-
-    if (videoDirs.length === 0) {
-        console.log(chalk.yellow('⚠ No video folders found to upload'));
-        return { success: true, uploaded: 0 };
-    }
-
-    console.log(chalk.gray(`   Found ${videoDirs.length} video folder(s) to upload\n`));
-
     let totalUploaded = 0;
     let totalFailed = 0;
     let totalDeleted = 0;
+    let resumedCount = 0;
+    let stoppedCount = 0;
+    let completed = 0;
     const uploadStartTime = Date.now();
 
-    for (let i = 0; i < videoDirs.length; i++) {
-        const videoDir = videoDirs[i];
-        const videoName = path.basename(videoDir);
+    // Recreate intermediate folders ("a/b" for a/b/video) once each; promises are cached so
+    // folders uploading at the same time never create the same Drive folder twice
+    const parentFolders = new Map([['.', Promise.resolve(folderId)]]);
+    const getParentFolderId = (relativeDir) => {
+        if (!parentFolders.has(relativeDir)) {
+            parentFolders.set(relativeDir, getParentFolderId(path.dirname(relativeDir))
+                .then(parentId => uploader.getOrCreateFolder(path.basename(relativeDir), parentId))
+                .then(folder => folder.id));
+        }
+        return parentFolders.get(relativeDir);
+    };
+
+    const status = createLiveStatus('Uploading', total, !verbose);
+    const log = line => status.log(line);
+    const progress = () => (total ? `[${completed}/${total}] ` : '');
 
-        const uploadSpinner = ora({
-            text: `[${i + 1}/${videoDirs.length}] Uploading ${videoName}...`,
-            color: 'cyan'
-        }).start();
+    const queue = createWorkQueue(folderConcurrency, async (videoDir) => {
+        const videoName = path.relative(outputDir, videoDir);
+        const tracked = state ? state.findByOutputDir(videoName) : null;
+
+        if (tracked && state.resuming && state.isDone(tracked.key, 'upload')) {
+            completed++;
+            resumedCount++;
+            log(chalk.gray(`⏭ ${progress()}${videoName}: already uploaded`));
+            emitEvent('upload.result', { folder: videoName, status: 'skipped', uploaded: 0, failed: 0, error: null });
+            return { success: true, uploaded: 0, resumed: true };
+        }
 
         try {
-            const result = await uploader.uploadVideoFrames(videoDir, folderId, {
+            // An upload an earlier run started may have left some frames on Drive already
+            const interrupted = Boolean(tracked && state.resuming && tracked.item.upload);
+            if (tracked) state.update(tracked.key, 'upload', 'running');
+
+            const parentFolderId = await getParentFolderId(path.dirname(videoName));
+            const result = await uploader.uploadVideoFrames(videoDir, parentFolderId, {
                 deleteAfterUpload,
                 verbose,
-                concurrency
+                concurrency,
+                imageFormat,
+                skipExisting: interrupted
             });
 
+            if (tracked) {
+                const uploadStatus = result.success ? 'done' : (result.stopped > 0 ? 'incomplete' : 'failed');
+                state.update(tracked.key, 'upload', uploadStatus, {
+                    uploaded: result.uploaded,
+                    failed: result.failed || 0,
+                    folderId: result.folderId || null
+                });
+            }
+
+            completed++;
+            emitEvent('upload.result', {
+                folder: videoName,
+                status: result.success ? 'uploaded' : (result.stopped > 0 ? 'stopped' : 'failed'),
+                uploaded: result.uploaded,
+                failed: result.failed || 0,
+                error: null
+            });
             if (result.success) {
-                uploadSpinner.succeed(
-                    chalk.green(`[${i + 1}/${videoDirs.length}] ${videoName}: ${result.uploaded} files uploaded`) +
+                const skippedStr = result.skipped > 0 ? ` (${result.skipped} already on Drive)` : '';
+                log(
+                    chalk.green(`✔ ${progress()}${videoName}: ${result.uploaded} files uploaded${skippedStr}`) +
                     (deleteAfterUpload ? chalk.gray(` (${result.deleted} deleted locally)`) : '')
                 );
                 totalUploaded += result.uploaded;
                 totalDeleted += result.deleted;
+            } else if (result.stopped > 0) {
+                log(chalk.yellow(`⏸ ${progress()}${videoName}: ${result.uploaded} uploaded, stopped before ${result.stopped} more`));
+                totalUploaded += result.uploaded;
+                totalFailed += result.failed;
+                stoppedCount++;
             } else {
-                uploadSpinner.warn(
-                    chalk.yellow(`[${i + 1}/${videoDirs.length}] ${videoName}: ${result.uploaded} uploaded, ${result.failed} failed`)
-                );
+                log(chalk.yellow(`⚠ ${progress()}${videoName}: ${result.uploaded} uploaded, ${result.failed} failed`));
                 totalUploaded += result.uploaded;
                 totalFailed += result.failed;
             }
+            return result;
         } catch (error) {
-            uploadSpinner.fail(chalk.red(`[${i + 1}/${videoDirs.length}] ${videoName}: ${error.message}`));
+            completed++;
+            if (tracked) state.update(tracked.key, 'upload', 'failed', { error: error.message });
+            log(chalk.red(`✖ ${progress()}${videoName}: ${error.message}`));
+            emitEvent('upload.result', { folder: videoName, status: 'failed', uploaded: 0, failed: 0, error: error.message });
             totalFailed++;
+            return { success: false, uploaded: 0, error: error.message };
         }
-    }
+    }, {
+        onStart: videoDir => status.start(path.relative(outputDir, videoDir)),
+        onFinish: (result, videoDir) => status.finish(path.relative(outputDir, videoDir)),
+        shouldStop: isCancelled
+    });
 
-    const uploadTime = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
+    return {
+        async upload(videoDir) {
+            const result = await queue.push(videoDir);
+            if (!result) stoppedCount++;
+            return result;
+        },
 
-    // Upload summary
-    console.log(chalk.blue('\n☁️  Upload Summary'));
-    console.log(chalk.blue('═══════════════════════════════════════════════════════════'));
-    console.log(chalk.green(`   Files uploaded:   ${totalUploaded}`));
-    if (totalFailed > 0) {
-        console.log(chalk.red(`   Files failed:     ${totalFailed}`));
-    }
-    if (deleteAfterUpload) {
-        console.log(chalk.gray(`   Local files deleted: ${totalDeleted}`));
-    }
-    console.log(chalk.gray(`   Upload time:      ${uploadTime}s`));
-    console.log(chalk.gray(`   Drive folder ID:  ${folderId}`));
-    console.log('');
-
-    if (totalFailed === 0) {
-        console.log(chalk.green('✔ All files uploaded successfully!'));
-    } else {
-        console.log(chalk.yellow(`⚠ ${totalFailed} file(s) failed to upload`));
-    }
+        finish() {
+            status.stop();
 
-    return {
-        success: totalFailed === 0,
-        uploaded: totalUploaded,
-        failed: totalFailed,
-        deleted: totalDeleted,
-        time: uploadTime
+            const uploadTime = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
+
+            // Upload summary
+            console.log(chalk.blue('\n☁️  Upload Summary'));
+            console.log(chalk.blue('═══════════════════════════════════════════════════════════'));
+            console.log(chalk.green(`   Files uploaded:   ${totalUploaded}`));
+            if (resumedCount > 0) {
+                console.log(chalk.gray(`   Already uploaded: ${resumedCount} folder(s)`));
+            }
+            if (totalFailed > 0) {
+                console.log(chalk.red(`   Files failed:     ${totalFailed}`));
+            }
+            if (stoppedCount > 0) {
+                console.log(chalk.yellow(`   Stopped:          ${stoppedCount} folder(s)`));
+            }
+            if (deleteAfterUpload) {
+                console.log(chalk.gray(`   Local files deleted: ${totalDeleted}`));
+            }
+            console.log(chalk.gray(`   Upload time:      ${uploadTime}s`));
+            console.log(chalk.gray(`   Drive folder ID:  ${folderId}`));
+            console.log('');
+
+            if (totalFailed > 0) {
+                console.log(chalk.yellow(`⚠ ${totalFailed} file(s) failed to upload`));
+            } else if (stoppedCount > 0) {
+                console.log(chalk.yellow('⚠ Upload stopped; run again with --resume to finish it'));
+            } else {
+                console.log(chalk.green('✔ All files uploaded successfully!'));
+            }
+
+            return {
+                success: totalFailed === 0 && stoppedCount === 0,
+                uploaded: totalUploaded,
+                failed: totalFailed,
+                stopped: stoppedCount,
+                deleted: totalDeleted,
+                time: uploadTime
+            };
+        }
     };
 }
 
 module.exports = {
     initDriveUploader,
-    uploadAllToGoogleDrive,
+    createDriveUploadQueue,
     uploadVideoFrames,
     uploadFile,
     createFolder,
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg, formatDuration } = require('./utils');
+const { isFrameFile } = require('./formats');
+const { TOOL, getStatus } = require('./metadata');
+
+// Sampled frames per video and the size of each thumbnail in the strip
+const THUMBNAILS_PER_VIDEO = 8;
+const THUMB_WIDTH = 192;
+const THUMB_HEIGHT = 108;
+
+const STATUS_COLORS = {
+    extracted: '#2e7d32',
+    cached: '#546e7a',
+    failed: '#c62828',
+    incomplete: '#ef6c00'
+};
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Pick up to `count` evenly spaced frame files from a video folder, with their timecodes
+ * from frames.json when it is there. Empty when the frames are gone (e.g. deleted after upload).
+ */
+function sampleFrames(videoOutputDir, imageFormat, count = THUMBNAILS_PER_VIDEO) {
+    let files;
+    try {
+        files = fs.readdirSync(videoOutputDir).filter(f => isFrameFile(f, imageFormat)).sort();
+    } catch {
+        return [];
+    }
+
+    const timecodes = new Map();
+    try {
+        const frameMap = JSON.parse(fs.readFileSync(path.join(videoOutputDir, 'frames.json'), 'utf-8'));
+        for (const frame of frameMap.frames) timecodes.set(frame.file, frame.timecode);
+    } catch {
+        // No frame map: thumbnails go without timecodes
+    }
+
+    const picked = files.length <= count
+        ? files
+        : Array.from({ length: count }, (_, i) => files[Math.round((i * (files.length - 1)) / (count - 1))]);
+
+    return picked.map(file => ({ file, timecode: timecodes.get(file) || null }));
+}
+
+/**
+ * Render the sampled frames as one JPEG strip (a single ffmpeg run, concat demuxer
+ * plus tile filter), each frame letterboxed into a THUMB_WIDTH x THUMB_HEIGHT cell.
+ * Resolves with a data: URI.
+ */
+async function renderThumbnailStrip(videoOutputDir, frames, verbose) {
+    const listPath = path.join(videoOutputDir, '.vfe_thumb_list.txt');
+    const list = frames
+        .map(frame => `file '${path.join(videoOutputDir, frame.file).replace(/'/g, "'\\''")}'`)
+        .join('\n');
+    fs.writeFileSync(listPath, list);
+
+    const chunks = [];
+    try {
+        await runFfmpeg([
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', listPath,
+            '-vf', `scale=${THUMB_WIDTH}:${THUMB_HEIGHT}:force_original_aspect_ratio=decrease,` +
+                `pad=${THUMB_WIDTH}:${THUMB_HEIGHT}:(ow-iw)/2:(oh-ih)/2,tile=${frames.length}x1`,
+            '-frames:v', '1',
+            '-c:v', 'mjpeg',
+            '-q:v', '5',
+            '-f', 'image2pipe',
+            'pipe:1'
+        ], verbose, null, data => chunks.push(data));
+    } finally {
+        fs.unlinkSync(listPath);
+    }
+
+    return `data:image/jpeg;base64,${Buffer.concat(chunks).toString('base64')}`;
+}
+
+/**
+ * One card per video: status, source, duration, frames, timing, errors and the thumbnail strip
+ */
+async function renderVideoCard(result, outputDir, options) {
+    const status = getStatus(result);
+    const outputName = path.relative(outputDir, result.outputDir) || '.';
+    const rows = [
+        ['Source', result.video.url || result.video.path],
+        ['Output', `${outputName}/`],
+        ['Duration', typeof result.duration === 'number' ? formatDuration(result.duration) : '-'],
+        ['Frames', result.success ? String(result.frameCount) : '-'],
+        ['Time', result.cached ? 'cached (extracted by an earlier run)' : (result.elapsedTime ? `${result.elapsedTime}s` : '-')]
+    ];
+    if (result.rejected) rows.push(['Rejected', `${result.rejected.rejected} low-quality frame(s)`]);
+    if (result.dedup) rows.push(['Duplicates', `${result.dedup.dropped} dropped`]);
+    if (result.reextractReason) rows.push(['Re-extracted', result.reextractReason]);
+
+    let strip = '';
+    const frames = result.success ? sampleFrames(result.outputDir, options.imageFormat) : [];
+    if (frames.length > 0) {
+        try {
+            const src = await renderThumbnailStrip(result.outputDir, frames, options.verbose);
+            const labels = frames
+                .map(frame => `<span title="${escapeHtml(frame.file)}">${escapeHtml(frame.timecode || frame.file)}</span>`)
+                .join('');
+            strip = `<div class="strip" style="--thumbs:${frames.length}"><img src="${src}" alt="Frames of ${escapeHtml(result.video.name)}"><div class="labels">${labels}</div></div>`;
+        } catch (error) {
+            strip = `<p class="note">Thumbnails unavailable: ${escapeHtml(error.message.split('\n')[0])}</p>`;
+        }
+    } else if (result.success) {
+        strip = '<p class="note">No frames on disk (deleted after upload, or none extracted)</p>';
+    }
+
+    return `<section class="card">
+<h2>${escapeHtml(result.video.name)} <span class="status" style="background:${STATUS_COLORS[status]}">${status}</span></h2>
+<dl>${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+${result.error ? `<p class="error">${escapeHtml(result.error)}</p>` : ''}
+${strip}
+</section>`;
+}
+
+/**
+ * Write report.html to the output directory: run totals plus one card per video, with the
+ * thumbnails embedded so the file can be shared on its own
+ * run: { startedAt, results, downloadFailures, skipped, options }
+ */
+async function writeHtmlReport(outputDir, run) {
+    const { startedAt, results, downloadFailures = [], skipped = [], options } = run;
+    const skippedVideos = skipped.filter(entry => entry.filter !== 'extension');
+    const finishedAt = Date.now();
+
+    const count = status => results.filter(result => getStatus(result) === status).length;
+    const totals = [
+        ['Videos', results.length],
+        ['Extracted', count('extracted')],
+        ['Cached', count('cached')],
+        ['Failed', count('failed')],
+        ['Incomplete', count('incomplete')],
+        ['Download failures', downloadFailures.length],
+        ['Skipped', skippedVideos.length],
+        ['Frames', results.reduce((sum, result) => sum + (result.success ? result.frameCount : 0), 0)],
+        ['Run time', formatDuration((finishedAt - startedAt) / 1000)]
+    ];
+
+    // Failures first so reviewers see them without scrolling
+    const order = { failed: 0, incomplete: 1, extracted: 2, cached: 3 };
+    const sorted = [...results].sort((a, b) => order[getStatus(a)] - order[getStatus(b)] || a.index - b.index);
+
+    const cards = [];
+    for (const result of sorted) {
+        cards.push(await renderVideoCard(result, outputDir, options));
+    }
+
+    const downloadSection = downloadFailures.length > 0
+        ? `<section class="card"><h2>Download failures</h2><ul>${downloadFailures
+            .map(failure => `<li>${escapeHtml(failure.url)}<br><span class="error">${escapeHtml(failure.error)}</span></li>`)
+            .join('')}</ul></section>`
+        : '';
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Frame extraction report - ${escapeHtml(new Date(startedAt).toLocaleString())}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2em auto; max-width: 1600px; padding: 0 1em; color: #222; background: #f5f5f5; }
+h1 { margin-bottom: 0.2em; }
+.meta { color: #666; margin-top: 0; }
+.totals { display: flex; flex-wrap: wrap; gap: 0.8em; margin: 1.5em 0; }
+.totals div { background: #fff; border-radius: 6px; padding: 0.6em 1em; box-shadow: 0 1px 2px rgba(0,0,0,.1); }
+.totals b { display: block; font-size: 1.5em; }
+.card { background: #fff; border-radius: 6px; padding: 1em 1.2em; margin-bottom: 1em; box-shadow: 0 1px 2px rgba(0,0,0,.1); }
+.card h2 { font-size: 1.1em; margin: 0 0 0.6em; word-break: break-all; }
+.status { color: #fff; font-size: 0.75em; padding: 0.15em 0.6em; border-radius: 1em; vertical-align: middle; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2em 1em; margin: 0 0 0.8em; }
+dt { color: #666; }
+dd { margin: 0; word-break: break-all; }
+.error { color: #c62828; }
+.note { color: #888; font-style: italic; }
+.strip { overflow-x: auto; }
+.strip img { display: block; width: calc(var(--thumbs) * ${THUMB_WIDTH}px); }
+.labels { display: grid; grid-template-columns: repeat(var(--thumbs), ${THUMB_WIDTH}px); font-size: 0.8em; color: #666; text-align: center; }
+</style>
+</head>
+<body>
+<h1>Frame extraction report</h1>
+<p class="meta">${escapeHtml(`${TOOL.name} ${TOOL.version} · started ${new Date(startedAt).toLocaleString()} · output ${outputDir}`)}</p>
+<div class="totals">${totals.map(([label, value]) => `<div><b>${value}</b>${label}</div>`).join('')}</div>
+${downloadSection}
+${cards.join('\n')}
+</body>
+</html>
+`;
+
+    const reportPath = path.join(outputDir, 'report.html');
+    fs.writeFileSync(reportPath, html);
+    return reportPath;
+}
+
+module.exports = {
+    writeHtmlReport
+};
@@ -3,12 +3,30 @@
 const { program } = require('commander');
 const path = require('path');
 const fs = require('fs');
-const { processVideos, processVideosFromList } = require('./extractor');
-const { checkFfmpeg } = require('./utils');
-const { downloadAllVideos, checkYtDlp } = require('./downloader');
+const { processVideos, processVideosFromList, processUrls } = require('./extractor');
+const { checkFfmpeg, parseTime } = require('./utils');
+const { loadTimestamps, parseSegments } = require('./timestamps');
+const { readUrlsFromFile, checkYtDlp, isDirectVideoUrl, getFilenameFromUrl } = require('./downloader');
+const { TOOL } = require('./metadata');
+const { installSignalHandlers, isCancelled, getCancelReason, getCancelExitCode } = require('./cancel');
+const { IMAGE_FORMATS, withImageExtension } = require('./formats');
+const { FIT_MODES, SCALE_ALGORITHMS, parseResize, parseCrop } = require('./transform');
+const { QUALITY_CHECKS, DEFAULT_THRESHOLDS, parseQualityChecks } = require('./quality');
+const { parseDiscoveryOptions, parseSize } = require('./discovery');
+const { createRunState } = require('./runstate');
+const { LOG_FORMATS, useJsonLogs, emitEvent } = require('./events');
+const { MAX_CONTACT_SHEET_FRAMES } = require('./previews');
+const { EXIT_CODES, getRunOutcome, createRunReport, writeReport } = require('./report');
 // Note: gdrive module is loaded lazily to avoid googleapis dependency issues on older Node.js
 const chalk = require('chalk');
 
+/**
+ * Commander helper for options that can be given several times
+ */
+function collect(value, previous) {
+    return previous.concat([value]);
+}
+
 // ASCII art banner
 const banner = `
 ╔═══════════════════════════════════════════════════════════╗
@@ -20,18 +38,56 @@ const banner = `
 program
     .name('video-frame-extractor')
     .description('CLI tool to batch extract frames from videos as high-quality PNGs')
-    .version('1.0.0')
+    .version(TOOL.version)
     .option('-i, --input <directory>', 'Input directory containing video files')
     .option('-u, --urls <file>', 'Text file containing video URLs (one per line)')
     .requiredOption('-o, --output <directory>', 'Output directory for extracted frames')
     .option('-d, --download-dir <directory>', 'Directory to store downloaded videos (default: ./downloads)')
-    .option('-q, --quality <level>', 'PNG compression level (0-9, 0=best quality)', '2')
-    .option('-f, --format <pattern>', 'Output filename pattern (use %d for frame number)', 'frame_%06d.png')
+    .option('--image-format <format>', 'Output image format: png, png16, jpg, webp, tiff', 'png')
+    .option('-q, --quality <level>', 'Image quality (png/png16: compression 0-9, default 2; jpg: 1-31, default 2; webp: 0-100, default 90)')
+    .option('-f, --format <pattern>', 'Output filename pattern (%d or {index} for frame number; also {video}, {pts}, {timecode})', 'frame_%06d.png')
     .option('-e, --extensions <list>', 'Video extensions to process (comma-separated)', 'mp4,avi,mkv,mov,wmv,flv,webm,m4v,mpeg,mpg')
+    .option('--include <glob>', 'Only process input files matching this glob (repeatable, e.g. "**/cam1/*.mp4")', collect, [])
+    .option('--exclude <glob>', 'Skip input files and folders matching this glob (repeatable, e.g. "**/tmp/**")', collect, [])
+    .option('--max-depth <n>', 'How many subfolder levels below --input to search (0 = only the input folder)')
+    .option('--no-follow-symlinks', 'Do not follow symlinked files and folders in --input')
+    .option('--min-size <size>', 'Skip videos smaller than this (e.g. 500KB, 10MB)')
+    .option('--max-size <size>', 'Skip videos larger than this (e.g. 2GB)')
+    .option('--min-duration <time>', 'Skip videos shorter than this (HH:MM:SS or seconds, via ffprobe)')
+    .option('--max-duration <time>', 'Skip videos longer than this (HH:MM:SS or seconds, via ffprobe)')
     .option('--fps <rate>', 'Extract frames at specific FPS (default: extract all frames)')
     .option('--start <time>', 'Start time for extraction (format: HH:MM:SS or seconds)')
     .option('--end <time>', 'End time for extraction (format: HH:MM:SS or seconds)')
+    .option('--segments <ranges>', 'Extract several time ranges per video (e.g. 00:01:00-00:02:00,00:05:10-00:05:40)')
+    .option('-m, --mode <mode>', 'Frame selection mode: all, scene, keyframes', 'all')
+    .option('--scene-threshold <value>', 'Scene change threshold for --mode scene (0-1, lower = more frames)', '0.3')
+    .option('--select <method>', 'Which frame each --fps interval keeps: first, best (sharpest, best exposed)', 'first')
+    .option('-t, --timestamps <list|file>', 'Extract frames at exact timestamps (comma list, or CSV/JSON file optionally keyed by video name)')
+    .option('-n, --count <number>', 'Extract exactly N frames per video, spread across the video or --start/--end window')
+    .option('--sampling <method>', 'How --count frames are placed: even, random', 'even')
+    .option('--seed <number>', 'Seed for --sampling random (same seed = same frames)', '0')
+    .option('--resize <WxH>', 'Resize frames (WxH, or Wx / xH to keep the aspect ratio)')
+    .option('--fit <mode>', 'How --resize WxH fits the frame: contain, cover (center crop), pad (letterbox), stretch', 'contain')
+    .option('--crop <geometry>', 'Crop frames before resizing (WxH centered, or WxH+X+Y)')
+    .option('--pad-color <color>', 'Letterbox color for --fit pad', 'black')
+    .option('--scale-algo <name>', `Scaling algorithm: ${SCALE_ALGORITHMS.join(', ')}`, 'bicubic')
+    .option('--reject <checks>', `Drop low-quality frames: ${QUALITY_CHECKS.join(', ')} (comma list, or 'all')`)
+    .option('--blur-threshold <value>', 'Minimum sharpness (Laplacian variance) for --reject blur', String(DEFAULT_THRESHOLDS.blur))
+    .option('--black-threshold <luma>', 'Maximum mean brightness (0-255) counted as black for --reject black', String(DEFAULT_THRESHOLDS.black))
+    .option('--exposure-threshold <ratio>', 'Fraction (0-1) of crushed or clipped pixels for --reject exposure', String(DEFAULT_THRESHOLDS.exposure))
+    .option('--dedup', 'Drop near-duplicate frames using a perceptual hash', false)
+    .option('--dedup-threshold <bits>', 'Max Hamming distance (0-64) to the last kept frame to count as a duplicate', '5')
+    .option('--contact-sheet', 'Write a contact sheet (grid of evenly spaced frames with timecodes) per video', false)
+    .option('--contact-sheet-frames <n>', `Frames on each contact sheet (1-${MAX_CONTACT_SHEET_FRAMES})`, '16')
+    .option('--sprites', 'Write sprite sheets and a WebVTT thumbnails track per video, for web players', false)
+    .option('--sprite-interval <time>', 'Minimum time between sprite thumbnails (HH:MM:SS or seconds)', '1')
+    .option('--layout <layout>', 'Output folders: flat (one per video name), mirror (keep input subdirectories)', 'flat')
+    .option('--min-free-space <size>', 'Stop extraction when free space on the output volume drops below this (0 = off)', '0')
+    .option('--max-output <size>', 'Stop once this run has written this much output (e.g. 50GB)')
+    .option('--video-timeout <time>', 'Give up on a video whose extraction takes longer than this (HH:MM:SS or seconds)')
     .option('-c, --concurrency <number>', 'Number of videos to process in parallel (default: auto, based on CPU cores)', 'auto')
+    .option('--download-concurrency <number>', 'Number of URLs to download at once', '3')
+    .option('--upload-concurrency <number>', 'Number of video folders to upload to Google Drive at once', '2')
     .option('--keep-downloads', 'Keep downloaded videos after processing (default: true)', true)
     // Google Drive options
     .option('--upload-drive', 'Upload extracted frames to Google Drive', false)
@@ -41,12 +97,24 @@ program
     .option('--dry-run', 'Show what would be processed without actually extracting', false)
     .option('-v, --verbose', 'Enable verbose output', false)
     .option('--quiet', 'Minimal output (recommended for Colab)', false)
-    .option('--force', 'Force re-extraction even if frames already exist (ignore cache)', false)
+    .option('--log-format <format>', `Log format: ${LOG_FORMATS.join(', ')} (json writes one event per line to stdout, other output to stderr)`, 'text')
+    .option('--html-report', 'Write report.html to the output directory: totals and a card with thumbnails per video', false)
+    .option('--report <file>', 'Write a JSON summary of the run (outcome, counts, failures) to this file')
+    .option('--force', 'Re-extract every video, even those already finished with the same settings', false)
+    .option('--resume', 'Continue an interrupted run from the state file in the output directory (skips finished downloads, extractions and uploads)', false)
     .parse(process.argv);
 
 const options = program.opts();
 
 async function main() {
+    if (!LOG_FORMATS.includes(options.logFormat)) {
+        console.error(chalk.red(`✖ Error: --log-format must be one of: ${LOG_FORMATS.join(', ')}`));
+        process.exit(1);
+    }
+    if (options.logFormat === 'json') {
+        useJsonLogs();
+    }
+
     if (!options.quiet) {
         console.log(banner);
     }
@@ -110,20 +178,299 @@ async function main() {
         console.log(chalk.green(`✔ Created output directory: ${outputDir}`));
     }
 
-    // Validate quality level
-    const quality = parseInt(options.quality, 10);
-    if (isNaN(quality) || quality < 0 || quality > 9) {
-        console.error(chalk.red('✖ Error: Quality level must be between 0 and 9'));
+    // Validate image format
+    const imageFormat = options.imageFormat;
+    const imageSpec = IMAGE_FORMATS[imageFormat];
+    if (!imageSpec) {
+        console.error(chalk.red(`✖ Error: Image format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`));
+        process.exit(1);
+    }
+
+    // Validate quality level (range depends on the image format)
+    let quality = null;
+    if (imageSpec.quality) {
+        const { min, max } = imageSpec.quality;
+        quality = options.quality !== undefined ? parseInt(options.quality, 10) : imageSpec.quality.default;
+        if (isNaN(quality) || quality < min || quality > max) {
+            console.error(chalk.red(`✖ Error: Quality level for ${imageFormat} must be between ${min} and ${max}`));
+            process.exit(1);
+        }
+    } else if (options.quality !== undefined) {
+        console.log(chalk.yellow(`⚠ --quality is ignored for ${imageFormat} (lossless)`));
+    }
+    const qualityLabel = imageSpec.quality ? `${quality} (${imageSpec.quality.description})` : 'lossless';
+
+    // Frame files always carry the extension of the chosen image format
+    const format = withImageExtension(options.format, imageFormat);
+
+    // Validate frame selection mode
+    const modes = ['all', 'scene', 'keyframes'];
+    if (!modes.includes(options.mode)) {
+        console.error(chalk.red(`✖ Error: Mode must be one of: ${modes.join(', ')}`));
+        process.exit(1);
+    }
+
+    if (options.mode === 'keyframes' && options.fps) {
+        console.log(chalk.yellow('⚠ --fps is ignored in keyframes mode'));
+    }
+
+    const sceneThreshold = parseFloat(options.sceneThreshold);
+    if (isNaN(sceneThreshold) || sceneThreshold < 0 || sceneThreshold > 1) {
+        console.error(chalk.red('✖ Error: Scene threshold must be between 0 and 1'));
+        process.exit(1);
+    }
+
+    // Validate per-interval frame selection
+    if (!['first', 'best'].includes(options.select)) {
+        console.error(chalk.red('✖ Error: --select must be one of: first, best'));
+        process.exit(1);
+    }
+
+    if (options.select === 'best' && (!options.fps || options.mode !== 'all')) {
+        console.error(chalk.red('✖ Error: --select best needs --fps and --mode all'));
+        process.exit(1);
+    }
+
+    // Load explicit timestamps
+    let timestamps = null;
+    if (options.timestamps) {
+        try {
+            timestamps = loadTimestamps(options.timestamps);
+        } catch (error) {
+            console.error(chalk.red(`✖ Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        if (options.fps || options.start || options.end || options.mode !== 'all') {
+            console.log(chalk.yellow('⚠ --fps, --start, --end and --mode are ignored when --timestamps is used'));
+        }
+    }
+
+    // Validate frame count sampling
+    let count = null;
+    if (options.count) {
+        count = parseInt(options.count, 10);
+        if (isNaN(count) || count < 1) {
+            console.error(chalk.red('✖ Error: --count must be a positive integer'));
+            process.exit(1);
+        }
+
+        if (options.timestamps) {
+            console.error(chalk.red('✖ Error: --count and --timestamps cannot be used together'));
+            process.exit(1);
+        }
+
+        if (options.fps || options.mode !== 'all') {
+            console.log(chalk.yellow('⚠ --fps and --mode are ignored when --count is used'));
+        }
+    }
+
+    if (!['even', 'random'].includes(options.sampling)) {
+        console.error(chalk.red('✖ Error: --sampling must be one of: even, random'));
+        process.exit(1);
+    }
+
+    const seed = parseInt(options.seed, 10);
+    if (isNaN(seed)) {
+        console.error(chalk.red('✖ Error: --seed must be an integer'));
+        process.exit(1);
+    }
+
+    // Every sequentially extracted frame needs a unique filename
+    if (!timestamps && !count && !/%0?\d*d|\{(index|pts|timecode)\}/.test(format)) {
+        console.error(chalk.red('✖ Error: --format must contain %d, {index}, {pts} or {timecode}'));
+        process.exit(1);
+    }
+
+    // Parse time segments
+    let segments = null;
+    if (options.segments) {
+        try {
+            segments = parseSegments(options.segments);
+        } catch (error) {
+            console.error(chalk.red(`✖ Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        if (options.timestamps || count) {
+            console.error(chalk.red('✖ Error: --segments cannot be combined with --timestamps or --count'));
+            process.exit(1);
+        }
+
+        if (options.start || options.end) {
+            console.log(chalk.yellow('⚠ --start and --end are ignored when --segments is used'));
+        }
+    }
+
+    // Parse resize/crop options
+    let transform = null;
+    if (options.resize || options.crop) {
+        if (!FIT_MODES.includes(options.fit)) {
+            console.error(chalk.red(`✖ Error: --fit must be one of: ${FIT_MODES.join(', ')}`));
+            process.exit(1);
+        }
+
+        if (!SCALE_ALGORITHMS.includes(options.scaleAlgo)) {
+            console.error(chalk.red(`✖ Error: --scale-algo must be one of: ${SCALE_ALGORITHMS.join(', ')}`));
+            process.exit(1);
+        }
+
+        try {
+            transform = {
+                resize: options.resize ? parseResize(options.resize) : null,
+                crop: options.crop ? parseCrop(options.crop) : null,
+                fit: options.fit,
+                algorithm: options.scaleAlgo,
+                padColor: options.padColor
+            };
+        } catch (error) {
+            console.error(chalk.red(`✖ Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    // Validate quality filters
+    let reject = null;
+    let rejectThresholds = null;
+    if (options.reject) {
+        reject = parseQualityChecks(options.reject);
+        if (!reject) {
+            console.error(chalk.red(`✖ Error: --reject must be a comma list of: ${QUALITY_CHECKS.join(', ')} (or 'all')`));
+            process.exit(1);
+        }
+
+        rejectThresholds = {
+            blur: parseFloat(options.blurThreshold),
+            black: parseFloat(options.blackThreshold),
+            exposure: parseFloat(options.exposureThreshold)
+        };
+        if (isNaN(rejectThresholds.blur) || rejectThresholds.blur < 0) {
+            console.error(chalk.red('✖ Error: --blur-threshold must be a non-negative number'));
+            process.exit(1);
+        }
+        if (isNaN(rejectThresholds.black) || rejectThresholds.black < 0 || rejectThresholds.black > 255) {
+            console.error(chalk.red('✖ Error: --black-threshold must be between 0 and 255'));
+            process.exit(1);
+        }
+        if (isNaN(rejectThresholds.exposure) || rejectThresholds.exposure <= 0 || rejectThresholds.exposure > 1) {
+            console.error(chalk.red('✖ Error: --exposure-threshold must be between 0 (exclusive) and 1'));
+            process.exit(1);
+        }
+    }
+
+    // Parse input discovery filters
+    let discovery;
+    try {
+        discovery = parseDiscoveryOptions(options);
+    } catch (error) {
+        console.error(chalk.red(`✖ Error: ${error.message}`));
+        process.exit(1);
+    }
+
+    if (options.urls && (discovery.include.length > 0 || discovery.exclude.length > 0 || options.maxDepth !== undefined)) {
+        console.log(chalk.yellow('⚠ --include, --exclude and --max-depth only apply to --input folders'));
+    }
+
+    // Parse the disk space guard limits
+    const minFreeSpace = parseSize(options.minFreeSpace);
+    if (minFreeSpace === null) {
+        console.error(chalk.red('✖ Error: --min-free-space must be a size like 500MB or 2GB (0 to disable)'));
+        process.exit(1);
+    }
+
+    let maxOutput = null;
+    if (options.maxOutput) {
+        maxOutput = parseSize(options.maxOutput);
+        if (!maxOutput) {
+            console.error(chalk.red('✖ Error: --max-output must be a size like 50GB'));
+            process.exit(1);
+        }
+    }
+
+    // Validate per-video timeout
+    let videoTimeout = null;
+    if (options.videoTimeout) {
+        videoTimeout = parseTime(options.videoTimeout);
+        if (!videoTimeout || videoTimeout <= 0) {
+            console.error(chalk.red('✖ Error: --video-timeout must be a positive duration (HH:MM:SS or seconds)'));
+            process.exit(1);
+        }
+    }
+
+    // Validate contact sheet and sprite options
+    let previews = null;
+    if (options.contactSheet || options.sprites) {
+        const contactSheetFrames = parseInt(options.contactSheetFrames, 10);
+        if (isNaN(contactSheetFrames) || contactSheetFrames < 1 || contactSheetFrames > MAX_CONTACT_SHEET_FRAMES) {
+            console.error(chalk.red(`✖ Error: --contact-sheet-frames must be between 1 and ${MAX_CONTACT_SHEET_FRAMES}`));
+            process.exit(1);
+        }
+        const spriteInterval = parseTime(options.spriteInterval);
+        if (!spriteInterval || spriteInterval <= 0) {
+            console.error(chalk.red('✖ Error: --sprite-interval must be a positive duration (HH:MM:SS or seconds)'));
+            process.exit(1);
+        }
+        previews = {
+            contactSheet: options.contactSheet ? contactSheetFrames : null,
+            spriteInterval: options.sprites ? spriteInterval : null
+        };
+    }
+
+    // Validate output layout
+    if (!['flat', 'mirror'].includes(options.layout)) {
+        console.error(chalk.red('✖ Error: --layout must be one of: flat, mirror'));
+        process.exit(1);
+    }
+
+    if (options.layout === 'mirror' && options.urls) {
+        console.log(chalk.yellow('⚠ --layout mirror has no effect on downloaded videos (no input subdirectories)'));
+    }
+
+    // Validate dedup threshold
+    const dedupThreshold = parseInt(options.dedupThreshold, 10);
+    if (isNaN(dedupThreshold) || dedupThreshold < 0 || dedupThreshold > 64) {
+        console.error(chalk.red('✖ Error: --dedup-threshold must be between 0 and 64'));
         process.exit(1);
     }
 
     // Parse extensions
     const extensions = options.extensions.split(',').map(ext => ext.trim().toLowerCase());
 
-    // Determine concurrency
+    // Determine concurrency (extraction, plus the download and upload stages)
     const concurrency = options.concurrency;
 
+    const downloadConcurrency = parseInt(options.downloadConcurrency, 10);
+    if (isNaN(downloadConcurrency) || downloadConcurrency < 1) {
+        console.error(chalk.red('✖ Error: --download-concurrency must be a positive integer'));
+        process.exit(1);
+    }
+
+    const uploadConcurrency = parseInt(options.uploadConcurrency, 10);
+    if (isNaN(uploadConcurrency) || uploadConcurrency < 1) {
+        console.error(chalk.red('✖ Error: --upload-concurrency must be a positive integer'));
+        process.exit(1);
+    }
+
+    // Track every video through download, extract and upload so --resume can pick up after a crash
+    const state = options.dryRun ? null : createRunState(outputDir, { resume: options.resume });
+
+    // Ctrl-C/SIGTERM stop the run cleanly (a dry run has nothing to clean up and exits at once)
+    if (!options.dryRun) {
+        installSignalHandlers();
+    }
+    if (state && state.resuming) {
+        console.log(chalk.blue(`↻ Resuming run started ${state.startedAt}`));
+        for (const [stage, counts] of Object.entries(state.summarize())) {
+            const parts = Object.entries(counts).map(([status, n]) => `${n} ${status}`);
+            if (parts.length > 0) console.log(chalk.gray(`   ${stage}: ${parts.join(', ')}`));
+        }
+    } else if (options.resume && !options.dryRun) {
+        console.log(chalk.yellow('⚠ No run state found in the output directory, starting a new run'));
+    }
+
     let videos = [];
+    let urls = null;
+    let downloadDir = null;
     let inputDir = null;
 
     // Mode: Download from URLs
@@ -136,7 +483,7 @@ async function main() {
         }
 
         // Setup download directory
-        const downloadDir = options.downloadDir
+        downloadDir = options.downloadDir
             ? path.resolve(options.downloadDir)
             : path.join(path.dirname(outputDir), 'downloads');
 
@@ -144,15 +491,34 @@ async function main() {
         console.log(chalk.gray(`   URL file:         ${urlFile}`));
         console.log(chalk.gray(`   Download dir:     ${downloadDir}`));
         console.log(chalk.gray(`   Output directory: ${outputDir}`));
-        console.log(chalk.gray(`   Quality level:    ${quality} (0=best, 9=fastest)`));
-        console.log(chalk.gray(`   Filename pattern: ${options.format}`));
+        console.log(chalk.gray(`   Image format:     ${imageFormat}`));
+        console.log(chalk.gray(`   Quality level:    ${qualityLabel}`));
+        console.log(chalk.gray(`   Filename pattern: ${format}`));
         if (options.fps) console.log(chalk.gray(`   FPS:              ${options.fps}`));
         if (options.start) console.log(chalk.gray(`   Start time:       ${options.start}`));
         if (options.end) console.log(chalk.gray(`   End time:         ${options.end}`));
+        if (segments) console.log(chalk.gray(`   Segments:         ${segments.length} (${options.segments})`));
+        if (options.crop) console.log(chalk.gray(`   Crop:             ${options.crop}`));
+        if (options.resize) console.log(chalk.gray(`   Resize:           ${options.resize} (${options.fit}, ${options.scaleAlgo})`));
+        if (reject) console.log(chalk.gray(`   Reject:           ${reject.join(', ')}`));
+        if (options.dedup) console.log(chalk.gray(`   Dedup:            Hamming distance <= ${dedupThreshold}`));
+        if (options.mode === 'scene') console.log(chalk.gray(`   Mode:             scene (threshold ${sceneThreshold})`));
+        if (options.mode === 'keyframes') console.log(chalk.gray(`   Mode:             keyframes only`));
+        if (options.select === 'best') console.log(chalk.gray(`   Frame selection:  best per interval`));
+        if (options.timestamps) console.log(chalk.gray(`   Timestamps:       ${options.timestamps}`));
+        if (count) console.log(chalk.gray(`   Frame count:      ${count} per video (${options.sampling}${options.sampling === 'random' ? `, seed ${seed}` : ''})`));
+        if (minFreeSpace > 0) console.log(chalk.gray(`   Min free space:   ${options.minFreeSpace}`));
+        if (maxOutput) console.log(chalk.gray(`   Output budget:    ${options.maxOutput}`));
+        if (videoTimeout) console.log(chalk.gray(`   Video timeout:    ${options.videoTimeout}`));
+        if (options.contactSheet) console.log(chalk.gray(`   Contact sheet:    ${previews.contactSheet} frames per video`));
+        if (options.sprites) console.log(chalk.gray(`   Sprites:          every ${options.spriteInterval}s, with WebVTT track`));
+        if (options.htmlReport) console.log(chalk.gray(`   HTML report:      ${path.join(outputDir, 'report.html')}`));
         console.log(chalk.gray(`   Concurrency:      ${concurrency === 'auto' ? 'auto (based on CPU cores)' : concurrency + 'x parallel'}`));
+        console.log(chalk.gray(`   Downloads:        ${downloadConcurrency} at once`));
         if (options.uploadDrive) {
             console.log(chalk.cyan(`   ☁️  Google Drive:  Enabled`));
             console.log(chalk.gray(`   Drive folder:     ${options.driveFolder}`));
+            console.log(chalk.gray(`   Uploads:          ${uploadConcurrency} folder(s) at once`));
             if (options.deleteAfterUpload) {
                 console.log(chalk.yellow(`   Delete local:     Yes (after upload)`));
             }
@@ -174,24 +540,32 @@ async function main() {
                 const shortUrl = url.length > 70 ? url.substring(0, 70) + '...' : url;
                 console.log(chalk.gray(`   ${i + 1}. ${shortUrl}`));
             });
-            return;
-        }
 
-        // Download videos
-        console.log(chalk.blue('📥 Downloading videos from URLs...\n'));
-        videos = await downloadAllVideos(
-            urlFile,
-            downloadDir,
-            parseInt(concurrency, 10) || 4,
-            options.verbose
-        );
+            // Direct links can be probed in place, so they get frame and size estimates too
+            const directUrls = urls.filter(isDirectVideoUrl);
+            if (directUrls.length < urls.length) {
+                console.log(chalk.gray(`\n   ${urls.length - directUrls.length} URL(s) need yt-dlp and can only be estimated after download`));
+            }
+            if (directUrls.length === 0) {
+                return;
+            }
 
-        if (videos.length === 0) {
-            console.log(chalk.yellow('⚠ No videos were successfully downloaded'));
-            return;
-        }
+            videos = directUrls.map(url => ({
+                path: url,
+                name: getFilenameFromUrl(url),
+                extension: path.extname(url.split('?')[0]).slice(1),
+                url
+            }));
+        } else {
+            // Each video is extracted as soon as its download finishes (see processUrls)
+            urls = readUrlsFromFile(urlFile);
+            if (urls.length === 0) {
+                console.log(chalk.yellow('⚠ No valid URLs found in the file'));
+                return;
+            }
 
-        inputDir = downloadDir;
+            console.log(chalk.green(`✔ Found ${urls.length} URL(s) in ${path.basename(urlFile)}\n`));
+        }
 
     } else {
         // Mode: Local files
@@ -210,16 +584,41 @@ async function main() {
         console.log(chalk.blue('\n📁 Configuration:'));
         console.log(chalk.gray(`   Input directory:  ${inputDir}`));
         console.log(chalk.gray(`   Output directory: ${outputDir}`));
-        console.log(chalk.gray(`   Quality level:    ${quality} (0=best, 9=fastest)`));
-        console.log(chalk.gray(`   Filename pattern: ${options.format}`));
+        console.log(chalk.gray(`   Image format:     ${imageFormat}`));
+        console.log(chalk.gray(`   Quality level:    ${qualityLabel}`));
+        console.log(chalk.gray(`   Filename pattern: ${format}`));
         console.log(chalk.gray(`   Video extensions: ${extensions.join(', ')}`));
+        if (discovery.include.length > 0) console.log(chalk.gray(`   Include:          ${discovery.include.join(', ')}`));
+        if (discovery.exclude.length > 0) console.log(chalk.gray(`   Exclude:          ${discovery.exclude.join(', ')}`));
+        if (options.maxDepth !== undefined) console.log(chalk.gray(`   Max depth:        ${discovery.maxDepth}`));
+        if (!discovery.followSymlinks) console.log(chalk.gray(`   Symlinks:         not followed`));
+        if (options.minSize || options.maxSize) console.log(chalk.gray(`   Size filter:      ${options.minSize || '0'} - ${options.maxSize || 'any'}`));
+        if (options.minDuration || options.maxDuration) console.log(chalk.gray(`   Duration filter:  ${options.minDuration || '0'} - ${options.maxDuration || 'any'}`));
+        if (options.layout === 'mirror') console.log(chalk.gray(`   Layout:           mirror input subdirectories`));
         if (options.fps) console.log(chalk.gray(`   FPS:              ${options.fps}`));
         if (options.start) console.log(chalk.gray(`   Start time:       ${options.start}`));
         if (options.end) console.log(chalk.gray(`   End time:         ${options.end}`));
+        if (segments) console.log(chalk.gray(`   Segments:         ${segments.length} (${options.segments})`));
+        if (options.crop) console.log(chalk.gray(`   Crop:             ${options.crop}`));
+        if (options.resize) console.log(chalk.gray(`   Resize:           ${options.resize} (${options.fit}, ${options.scaleAlgo})`));
+        if (reject) console.log(chalk.gray(`   Reject:           ${reject.join(', ')}`));
+        if (options.dedup) console.log(chalk.gray(`   Dedup:            Hamming distance <= ${dedupThreshold}`));
+        if (options.mode === 'scene') console.log(chalk.gray(`   Mode:             scene (threshold ${sceneThreshold})`));
+        if (options.mode === 'keyframes') console.log(chalk.gray(`   Mode:             keyframes only`));
+        if (options.select === 'best') console.log(chalk.gray(`   Frame selection:  best per interval`));
+        if (options.timestamps) console.log(chalk.gray(`   Timestamps:       ${options.timestamps}`));
+        if (count) console.log(chalk.gray(`   Frame count:      ${count} per video (${options.sampling}${options.sampling === 'random' ? `, seed ${seed}` : ''})`));
+        if (minFreeSpace > 0) console.log(chalk.gray(`   Min free space:   ${options.minFreeSpace}`));
+        if (maxOutput) console.log(chalk.gray(`   Output budget:    ${options.maxOutput}`));
+        if (videoTimeout) console.log(chalk.gray(`   Video timeout:    ${options.videoTimeout}`));
+        if (options.contactSheet) console.log(chalk.gray(`   Contact sheet:    ${previews.contactSheet} frames per video`));
+        if (options.sprites) console.log(chalk.gray(`   Sprites:          every ${options.spriteInterval}s, with WebVTT track`));
+        if (options.htmlReport) console.log(chalk.gray(`   HTML report:      ${path.join(outputDir, 'report.html')}`));
         console.log(chalk.gray(`   Concurrency:      ${concurrency === 'auto' ? 'auto (based on CPU cores)' : concurrency + 'x parallel'}`));
         if (options.uploadDrive) {
             console.log(chalk.cyan(`   ☁️  Google Drive:  Enabled`));
             console.log(chalk.gray(`   Drive folder:     ${options.driveFolder}`));
+            console.log(chalk.gray(`   Uploads:          ${uploadConcurrency} folder(s) at once`));
             if (options.deleteAfterUpload) {
                 console.log(chalk.yellow(`   Delete local:     Yes (after upload)`));
             }
@@ -228,65 +627,123 @@ async function main() {
         console.log('');
     }
 
-    try {
-        // Step 1: Extract frames
-        if (videos.length > 0) {
-            // Process downloaded videos directly (already have video list)
-            await processVideosFromList({
-                videos,
-                outputDir,
-                quality,
-                format: options.format,
-                fps: options.fps,
-                startTime: options.start,
-                endTime: options.end,
-                concurrency,
-                dryRun: options.dryRun,
-                verbose: options.verbose,
-                quiet: options.quiet,
-                force: options.force
-            });
-        } else {
-            // Process local directory
-            await processVideos({
-                inputDir,
-                outputDir,
-                quality,
-                format: options.format,
-                extensions,
-                fps: options.fps,
-                startTime: options.start,
-                endTime: options.end,
-                concurrency,
-                dryRun: options.dryRun,
-                verbose: options.verbose,
-                quiet: options.quiet,
-                force: options.force
-            });
-        }
+    const reportPath = options.report ? path.resolve(options.report) : null;
 
-        // Step 2: Upload to Google Drive (if enabled)
+    emitEvent('run.started', {
+        tool: TOOL,
+        input: options.urls ? path.resolve(options.urls) : inputDir,
+        outputDir,
+        dryRun: options.dryRun
+    });
+
+    try {
+        // Connect the upload stage first so a broken Drive setup fails before any extraction;
+        // each video's frames are then uploaded as soon as it is extracted
+        let uploads = null;
         if (options.uploadDrive && !options.dryRun) {
             // Lazy load googleapis to avoid Node.js version issues when not using upload
-            const { uploadAllToGoogleDrive } = require('./gdrive');
-            await uploadAllToGoogleDrive(
+            const { createDriveUploadQueue } = require('./gdrive');
+            uploads = await createDriveUploadQueue(
                 outputDir,
                 path.resolve(options.driveCredentials),
                 options.driveFolder,
                 {
                     deleteAfterUpload: options.deleteAfterUpload,
                     verbose: options.verbose,
-                    concurrency: 10  // Files per batch for upload
+                    imageFormat,
+                    state,
+                    folderConcurrency: uploadConcurrency,
+                    concurrency: 10  // Files uploaded at once per folder
                 }
             );
         }
 
+        const run = {
+            outputDir,
+            quality,
+            imageFormat,
+            format,
+            fps: options.fps,
+            startTime: options.start,
+            endTime: options.end,
+            mode: options.mode,
+            sceneThreshold,
+            select: options.select,
+            timestamps,
+            count,
+            sampling: options.sampling,
+            seed,
+            segments,
+            layout: options.layout,
+            discovery,
+            minFreeSpace,
+            maxOutput,
+            videoTimeout,
+            previews,
+            htmlReport: options.htmlReport,
+            state,
+            uploads,
+            transform,
+            reject,
+            rejectThresholds,
+            dedup: options.dedup,
+            dedupThreshold,
+            concurrency,
+            dryRun: options.dryRun,
+            verbose: options.verbose,
+            quiet: options.quiet,
+            force: options.force
+        };
+
+        let result;
+        if (urls) {
+            // Download, extract and upload as a pipeline
+            result = await processUrls({ ...run, urls, downloadDir, downloadConcurrency });
+        } else if (videos.length > 0) {
+            // Dry run of direct URLs (already have video list)
+            result = await processVideosFromList({ ...run, videos });
+        } else {
+            // Process local directory
+            result = await processVideos({ ...run, inputDir, extensions });
+        }
+
+        const uploadSummary = uploads ? uploads.finish() : null;
+
+        let outcome;
+        let exitCode;
+        if (isCancelled()) {
+            console.log(chalk.yellow(`\n⚠ Run ${getCancelReason()}; partial results are kept. Run again with --resume to finish it`));
+            outcome = 'interrupted';
+            exitCode = getCancelExitCode();
+        } else {
+            outcome = getRunOutcome(result || null, uploadSummary);
+            exitCode = EXIT_CODES[outcome];
+        }
+
+        const report = createRunReport(outcome, exitCode, result || null, uploadSummary);
+        emitEvent('summary', report);
+        if (reportPath) {
+            writeReport(reportPath, report);
+            console.log(chalk.gray(`📝 Report written to ${reportPath}`));
+        }
+        process.exitCode = exitCode;
+
     } catch (error) {
         console.error(chalk.red(`\n✖ Error: ${error.message}`));
         if (options.verbose) {
             console.error(chalk.gray(error.stack));
         }
-        process.exit(1);
+
+        const report = createRunReport('error', EXIT_CODES.error, null, null, error.message);
+        emitEvent('error', { error: error.message });
+        if (reportPath) {
+            try {
+                writeReport(reportPath, report);
+            } catch (writeError) {
+                console.error(chalk.red(`✖ Could not write report: ${writeError.message}`));
+            }
+        }
+        process.exit(EXIT_CODES.error);
     }
 }
 
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+const TOOL = { name: 'video-frame-extractor', version };
+
+/**
+ * Convert an elapsed time string ("12.34") or number to seconds
+ */
+function toSeconds(value) {
+    return value === undefined || value === null ? null : parseFloat(value);
+}
+
+/**
+ * Describe the extraction settings of a run (console flags and parsed inputs left out)
+ */
+function describeOptions(options) {
+    return {
+        mode: options.mode || 'all',
+        imageFormat: options.imageFormat || 'png',
+        quality: options.quality,
+        format: options.format,
+        fps: options.fps || null,
+        startTime: options.startTime || null,
+        endTime: options.endTime || null,
+        sceneThreshold: options.mode === 'scene' ? options.sceneThreshold : null,
+        select: options.select || 'first',
+        segments: options.segments || null,
+        layout: options.layout || 'flat',
+        discovery: describeDiscovery(options.discovery),
+        timestamps: Boolean(options.timestamps),
+        count: options.count || null,
+        sampling: options.count ? options.sampling : null,
+        seed: options.count && options.sampling === 'random' ? options.seed : null,
+        transform: options.transform || null,
+        reject: options.reject || null,
+        rejectThresholds: options.reject ? options.rejectThresholds : null,
+        dedupThreshold: options.dedup ? options.dedupThreshold : null,
+        minFreeSpace: options.minFreeSpace || null,
+        maxOutput: options.maxOutput || null,
+        videoTimeout: options.videoTimeout || null,
+        previews: options.previews || null
+    };
+}
+
+/**
+ * Input filters worth recording (null when none were set)
+ */
+function describeDiscovery(discovery = {}) {
+    const value = key => (discovery[key] === undefined ? null : discovery[key]);
+    const recorded = {
+        include: discovery.include && discovery.include.length > 0 ? discovery.include : null,
+        exclude: discovery.exclude && discovery.exclude.length > 0 ? discovery.exclude : null,
+        maxDepth: Number.isFinite(discovery.maxDepth) ? discovery.maxDepth : null,
+        followSymlinks: discovery.followSymlinks === false ? false : null,
+        minSize: value('minSize'),
+        maxSize: value('maxSize'),
+        minDuration: value('minDuration'),
+        maxDuration: value('maxDuration')
+    };
+
+    return Object.values(recorded).some(entry => entry !== null) ? recorded : null;
+}
+
+/**
+ * Reduce ffprobe output to the format and stream details worth keeping
+ */
+function describeProbe(probe) {
+    if (!probe) {
+        return null;
+    }
+
+    const format = probe.format || {};
+
+    return {
+        format: {
+            name: format.format_name || null,
+            longName: format.format_long_name || null,
+            duration: format.duration ? parseFloat(format.duration) : null,
+            size: format.size ? parseInt(format.size, 10) : null,
+            bitRate: format.bit_rate ? parseInt(format.bit_rate, 10) : null,
+            tags: format.tags || {}
+        },
+        streams: probe.streams || []
+    };
+}
+
+/**
+ * Write metadata.json into a video's output folder
+ */
+function writeVideoMetadata(result, options, probe) {
+    const { video } = result;
+
+    const metadata = {
+        tool: TOOL,
+        source: {
+            name: video.name,
+            path: video.path,
+            url: video.url || null,
+            size: video.size !== undefined ? video.size : null
+        },
+        duration: result.duration,
+        probe: describeProbe(probe),
+        extraction: {
+            options: describeOptions(options),
+            frameCount: result.frameCount,
+            elapsedTime: toSeconds(result.elapsedTime),
+            finishedAt: new Date().toISOString(),
+            keyframes: result.keyframes || null,
+            selection: result.selection || null,
+            timestamps: result.timestamps || null,
+            segments: result.segments || null,
+            transform: result.transform || null,
+            rejected: result.rejected ? {
+                kept: result.rejected.kept,
+                rejected: result.rejected.rejected,
+                reasons: result.rejected.reasons,
+                frames: result.rejected.frames
+            } : null,
+            dedup: result.dedup ? { kept: result.dedup.kept, dropped: result.dedup.dropped } : null
+        },
+        files: {
+            frames: result.frameMap ? path.basename(result.frameMap) : null,
+            scenes: result.sceneReport ? path.basename(result.sceneReport) : null,
+            quality: result.rejected ? path.basename(result.rejected.report) : null,
+            dedup: result.dedup ? path.basename(result.dedup.report) : null,
+            previews: result.previews ? 'previews/previews.json' : null
+        }
+    };
+
+    const metadataPath = path.join(result.outputDir, 'metadata.json');
+    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    return metadataPath;
+}
+
+/**
+ * Manifest status of a video result: extracted, cached, incomplete (stopped or not
+ * started, redone by the next run) or failed
+ */
+function getStatus(result) {
+    if (result.success) return result.cached ? 'cached' : 'extracted';
+    return result.incomplete ? 'incomplete' : 'failed';
+}
+
+/**
+ * Write manifest.json for the whole run (every video, including failures)
+ */
+function writeRunManifest(outputDir, run) {
+    const { startedAt, results = [], downloadFailures = [], skipped = [], options = {} } = run;
+
+    // Files that aren't videos at all would only bloat the manifest
+    const skippedVideos = skipped.filter(entry => entry.filter !== 'extension');
+    const finishedAt = Date.now();
+
+    const videos = results.map(result => ({
+        name: result.video.name,
+        source: result.video.url || result.video.path,
+        path: result.video.path,
+        outputDir: path.relative(outputDir, result.outputDir) || '.',
+        status: getStatus(result),
+        reextracted: result.reextractReason || null,
+        frameCount: result.success ? result.frameCount : null,
+        rejectedFrames: result.rejected ? result.rejected.rejected : null,
+        droppedFrames: result.dedup ? result.dedup.dropped : null,
+        duration: result.duration !== undefined ? result.duration : null,
+        elapsedTime: toSeconds(result.elapsedTime),
+        transform: result.transform || null,
+        metadata: result.metadata ? path.relative(outputDir, result.metadata) : null,
+        error: result.error || null
+    }));
+
+    const manifest = {
+        tool: TOOL,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        elapsedTime: parseFloat(((finishedAt - startedAt) / 1000).toFixed(2)),
+        options: describeOptions(options),
+        summary: {
+            videos: videos.length,
+            extracted: videos.filter(v => v.status === 'extracted').length,
+            cached: videos.filter(v => v.status === 'cached').length,
+            failed: videos.filter(v => v.status === 'failed').length,
+            incomplete: videos.filter(v => v.status === 'incomplete').length,
+            downloadFailed: downloadFailures.length,
+            skipped: skippedVideos.length,
+            totalFrames: videos.reduce((sum, v) => sum + (v.frameCount || 0), 0),
+            rejectedFrames: videos.reduce((sum, v) => sum + (v.rejectedFrames || 0), 0),
+            droppedFrames: videos.reduce((sum, v) => sum + (v.droppedFrames || 0), 0)
+        },
+        videos,
+        downloadFailures: downloadFailures.map(failure => ({
+            url: failure.url,
+            error: failure.error
+        })),
+        skipped: skippedVideos
+    };
+
+    const manifestPath = path.join(outputDir, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifestPath;
+}
+
+module.exports = {
+    TOOL,
+    describeOptions,
+    getStatus,
+    writeVideoMetadata,
+    writeRunManifest
+};
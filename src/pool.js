@@ -0,0 +1,216 @@
+const ora = require('ora');
+
+// Running item names shown in the live status line before it is shortened to "+N more"
+const MAX_LISTED = 3;
+
+// Running items shown on lines of their own (with their details) before "+N more"
+const MAX_DETAIL_LINES = 8;
+
+// Live statuses currently on screen; stages running side by side share one spinner line
+const shownStatuses = [];
+let spinner = null;
+
+/**
+ * Queue that runs worker(item) for pushed items with at most `concurrency` at once, for
+ * work that arrives over time (one stage of a pipeline). push() resolves with the result.
+ * hooks: { onStart(item), onFinish(result, item), shouldStop() }; once shouldStop()
+ * returns true, queued items resolve with undefined instead of starting.
+ */
+function createWorkQueue(concurrency, worker, hooks = {}) {
+    const { onStart = null, onFinish = null, shouldStop = null } = hooks;
+    const waiting = [];
+    let active = 0;
+
+    const startNext = () => {
+        while (active < concurrency && waiting.length > 0) {
+            const { item, resolve, reject } = waiting.shift();
+
+            if (shouldStop && shouldStop()) {
+                resolve(undefined);
+                continue;
+            }
+
+            active++;
+            if (onStart) onStart(item);
+
+            Promise.resolve()
+                .then(() => worker(item))
+                .then(result => {
+                    if (onFinish) onFinish(result, item);
+                    resolve(result);
+                }, reject)
+                .finally(() => {
+                    active--;
+                    startNext();
+                });
+        }
+    };
+
+    return {
+        push(item) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ item, resolve, reject });
+                startNext();
+            });
+        }
+    };
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` running at once.
+ * Every worker takes the next queued item as soon as its current one finishes, so a
+ * slow item never holds back the rest. Resolves with the results in input order.
+ * hooks: { onStart(item, index), onFinish(result, item, index), shouldStop() }
+ * Once shouldStop() returns true no further items start; their results stay undefined.
+ */
+async function runPool(items, concurrency, worker, hooks = {}) {
+    const { onStart = null, onFinish = null, shouldStop = null } = hooks;
+
+    const queue = createWorkQueue(Math.max(1, concurrency), ({ item, index }) => worker(item, index), {
+        onStart: onStart && (({ item, index }) => onStart(item, index)),
+        onFinish: onFinish && ((result, { item, index }) => onFinish(result, item, index)),
+        shouldStop
+    });
+
+    return Promise.all(items.map((item, index) => queue.push({ item, index })));
+}
+
+/**
+ * Redraw the shared spinner line from every shown status (stopping it when none are left)
+ */
+function renderStatuses() {
+    if (!spinner) return;
+
+    if (shownStatuses.length === 0) {
+        spinner.stop();
+        spinner = null;
+        return;
+    }
+
+    const detailed = shownStatuses.length === 1;
+    spinner.text = [
+        shownStatuses.map(status => status.describe(detailed)).join('  ·  '),
+        ...shownStatuses.flatMap(status => status.describeItems())
+    ].join('\n');
+    if (!spinner.isSpinning) spinner.start();
+}
+
+/**
+ * Print a line above the live status without garbling it
+ */
+function logLine(line) {
+    if (spinner && spinner.isSpinning) {
+        spinner.clear();
+        console.log(line);
+        spinner.render();
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Live summary of a pool ("Extracting: 3/10 done, 2 running: a, b") kept below the
+ * per-item log lines. Pools running at the same time share the line in a shorter form
+ * ("Downloading 4/10 (2 running) · Extracting 3/10 (2 running)"). Items given a detail
+ * (setDetail) get a line of their own below it, and setSummary adds an overall note such
+ * as an ETA. It only draws when enabled and writing to a terminal (see `live`); total may
+ * be null when it isn't known up front.
+ */
+function createLiveStatus(label, initialTotal, enabled = true) {
+    const running = [];
+    const details = new Map();
+    let total = initialTotal;
+    let summary = '';
+    let done = 0;
+    let shown = false;
+
+    const status = {
+        describe(detailed) {
+            const count = total ? `${done}/${total}` : `${done}`;
+            if (!detailed) {
+                return `${label} ${count} (${[`${running.length} running`, summary].filter(Boolean).join(', ')})`;
+            }
+
+            // Items with details are listed on their own lines instead
+            const listed = details.size > 0 ? '' : running.slice(0, MAX_LISTED).join(', ');
+            const more = !listed || running.length <= MAX_LISTED ? '' : ` +${running.length - MAX_LISTED} more`;
+            const line = `${label}: ${count} done, ${running.length} running${listed ? `: ${listed}${more}` : ''}`;
+            return summary ? `${line}, ${summary}` : line;
+        },
+
+        describeItems() {
+            const withDetails = running.filter(name => details.has(name));
+            const lines = withDetails.slice(0, MAX_DETAIL_LINES).map(name => `  ${name}: ${details.get(name)}`);
+            if (withDetails.length > MAX_DETAIL_LINES) {
+                lines.push(`  +${withDetails.length - MAX_DETAIL_LINES} more`);
+            }
+            return lines;
+        }
+    };
+
+    const show = () => {
+        if (!enabled || shown) return;
+
+        if (!spinner) {
+            const candidate = ora({ color: 'cyan' });
+            if (!candidate.isEnabled) return;
+            spinner = candidate;
+        }
+
+        shownStatuses.push(status);
+        shown = true;
+    };
+
+    return {
+        start(name) {
+            running.push(name);
+            show();
+            renderStatuses();
+        },
+
+        finish(name) {
+            const position = running.indexOf(name);
+            if (position !== -1) running.splice(position, 1);
+            if (!running.includes(name)) details.delete(name);
+            done++;
+            renderStatuses();
+        },
+
+        // Whether the status draws on the terminal (otherwise callers print plain progress lines)
+        get live() {
+            return enabled && (spinner !== null || ora().isEnabled);
+        },
+
+        setDetail(name, text) {
+            details.set(name, text);
+            renderStatuses();
+        },
+
+        setSummary(text) {
+            summary = text;
+            renderStatuses();
+        },
+
+        log: logLine,
+
+        // Change the expected total, e.g. when items drop out before reaching this stage
+        setTotal(value) {
+            total = value;
+            renderStatuses();
+        },
+
+        stop() {
+            if (!shown) return;
+
+            shownStatuses.splice(shownStatuses.indexOf(status), 1);
+            shown = false;
+            renderStatuses();
+        }
+    };
+}
+
+module.exports = {
+    createWorkQueue,
+    runPool,
+    createLiveStatus
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg, formatTimecode } = require('./utils');
+
+// Previews live in their own subfolder so they are never counted or uploaded as frames
+const PREVIEW_DIR = 'previews';
+const PREVIEW_MANIFEST = 'previews.json';
+
+const CONTACT_SHEET_FILE = 'contact_sheet.jpg';
+const THUMBNAILS_FILE = 'thumbnails.vtt';
+
+// Contact sheet cells (frames are letterboxed into them) and the limits of --contact-sheet-frames
+const SHEET_CELL_WIDTH = 320;
+const SHEET_CELL_HEIGHT = 180;
+const MAX_CONTACT_SHEET_FRAMES = 100;
+
+// What ffmpeg says when it was built without drawtext, the only reason to drop the labels
+const DRAWTEXT_MISSING = /No such filter: 'drawtext'/;
+
+// Sprite sheets: fixed-size thumbnails in a fixed grid, so WebVTT cues can address them by pixel
+const SPRITE_WIDTH = 160;
+const SPRITE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+/**
+ * Scale and letterbox a frame into a width x height cell
+ */
+function fitCell(width, height) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+}
+
+/**
+ * The frames of a video folder from its frames.json, ordered by source time and
+ * limited to those still on disk
+ */
+function loadFrames(videoOutputDir) {
+    let frameMap;
+    try {
+        frameMap = JSON.parse(fs.readFileSync(path.join(videoOutputDir, 'frames.json'), 'utf-8'));
+    } catch {
+        throw new Error('No frames.json in the video folder');
+    }
+
+    const frames = frameMap.frames
+        .filter(frame => fs.existsSync(path.join(videoOutputDir, frame.file)))
+        .sort((a, b) => a.pts - b.pts);
+
+    if (frames.length === 0) {
+        throw new Error('No frames on disk');
+    }
+    return frames;
+}
+
+/**
+ * Pick up to `count` evenly spaced frames
+ */
+function sampleEvenly(frames, count) {
+    if (frames.length <= count) {
+        return frames;
+    }
+    if (count === 1) {
+        return [frames[0]];
+    }
+    return Array.from({ length: count }, (_, i) => frames[Math.round((i * (frames.length - 1)) / (count - 1))]);
+}
+
+/**
+ * Drop frames closer than `interval` seconds to the previous kept one
+ */
+function thinFrames(frames, interval) {
+    const kept = [];
+    for (const frame of frames) {
+        if (kept.length === 0 || frame.pts - kept[kept.length - 1].pts >= interval - 1e-6) {
+            kept.push(frame);
+        }
+    }
+    return kept;
+}
+
+/**
+ * Write the contact sheet: a grid of evenly spaced frames, each with its timecode overlaid.
+ * Every frame is its own ffmpeg input so it can get its own label.
+ * The labels need the drawtext filter (ffmpeg built with libfreetype); when ffmpeg doesn't
+ * have it the sheet is made unlabelled and the manifest entry says labels: false.
+ */
+async function writeContactSheet(videoOutputDir, previewDir, frames, count, options) {
+    const sampled = sampleEvenly(frames, count);
+    const columns = Math.ceil(Math.sqrt(sampled.length));
+    const rows = Math.ceil(sampled.length / columns);
+
+    const inputs = sampled.flatMap(frame => ['-i', path.join(videoOutputDir, frame.file)]);
+    const grid = `${sampled.map((_, i) => `[c${i}]`).join('')}concat=n=${sampled.length}:v=1:a=0,` +
+        `tile=${columns}x${rows}:padding=4:margin=4`;
+
+    const render = (labels) => {
+        const cells = sampled.map((frame, i) => {
+            const cell = `[${i}:v]${fitCell(SHEET_CELL_WIDTH, SHEET_CELL_HEIGHT)}`;
+            if (!labels) {
+                return `${cell}[c${i}]`;
+            }
+            // Colons separate filter options, so they are escaped inside the quoted text
+            const label = formatTimecode(frame.pts).replace(/:/g, '\\:');
+            return `${cell},drawtext=text='${label}':fontsize=18:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=4:x=8:y=h-th-10[c${i}]`;
+        });
+
+        return runFfmpeg([
+            ...inputs,
+            '-filter_complex', [...cells, grid].join(';'),
+            '-frames:v', '1',
+            '-q:v', '3',
+            path.join(previewDir, CONTACT_SHEET_FILE),
+            '-y'
+        ], options.verbose, null, null, options.signal);
+    };
+
+    let labels = true;
+    try {
+        await render(true);
+    } catch (error) {
+        if (!DRAWTEXT_MISSING.test(error.message)) {
+            throw error;
+        }
+        labels = false;
+        await render(false);
+    }
+
+    return { file: CONTACT_SHEET_FILE, frames: sampled.length, columns, rows, labels };
+}
+
+/**
+ * Write sprite sheets of frames at least `interval` seconds apart, plus a WebVTT
+ * thumbnails track pointing each stretch of the video at its sprite
+ */
+async function writeSprites(videoOutputDir, previewDir, frames, interval, options) {
+    const thumbnails = thinFrames(frames, interval);
+    const perSheet = SPRITE_COLUMNS * SPRITE_ROWS;
+    const sheets = [];
+    const listPath = path.join(previewDir, '.vfe_sprite_list.txt');
+
+    try {
+        for (let start = 0; start < thumbnails.length; start += perSheet) {
+            const batch = thumbnails.slice(start, start + perSheet);
+            const file = `sprites_${(sheets.length + 1).toString().padStart(3, '0')}.jpg`;
+
+            fs.writeFileSync(listPath, batch
+                .map(frame => `file '${path.join(videoOutputDir, frame.file).replace(/'/g, "'\\''")}'`)
+                .join('\n'));
+
+            await runFfmpeg([
+                '-f', 'concat',
+                '-safe', '0',
+                '-i', listPath,
+                '-vf', `${fitCell(SPRITE_WIDTH, SPRITE_HEIGHT)},tile=${SPRITE_COLUMNS}x${Math.ceil(batch.length / SPRITE_COLUMNS)}`,
+                '-frames:v', '1',
+                '-q:v', '5',
+                path.join(previewDir, file),
+                '-y'
+            ], options.verbose, null, null, options.signal);
+
+            sheets.push(file);
+        }
+    } finally {
+        fs.rmSync(listPath, { force: true });
+    }
+
+    // Each thumbnail covers the video until the next one (the last one for one interval)
+    const cues = thumbnails.map((frame, i) => {
+        const end = i + 1 < thumbnails.length ? thumbnails[i + 1].pts : frame.pts + interval;
+        const cell = i % perSheet;
+        const x = (cell % SPRITE_COLUMNS) * SPRITE_WIDTH;
+        const y = Math.floor(cell / SPRITE_COLUMNS) * SPRITE_HEIGHT;
+        return `${formatTimecode(frame.pts)} --> ${formatTimecode(end)}\n` +
+            `${sheets[Math.floor(i / perSheet)]}#xywh=${x},${y},${SPRITE_WIDTH},${SPRITE_HEIGHT}`;
+    });
+    fs.writeFileSync(path.join(previewDir, THUMBNAILS_FILE), `WEBVTT\n\n${cues.join('\n\n')}\n`);
+
+    return { files: sheets, thumbnails: THUMBNAILS_FILE, frames: thumbnails.length };
+}
+
+/**
+ * Make the previews of an extracted video from the frames in its folder:
+ * settings.contactSheet is the number of frames on the contact sheet, settings.spriteInterval
+ * the spacing of sprite thumbnails in seconds (either may be null).
+ * Previews already made with the same settings are kept. Resolves with the previews manifest.
+ * options: { verbose, signal }
+ */
+async function createPreviews(videoOutputDir, settings, options = {}) {
+    const previewDir = path.join(videoOutputDir, PREVIEW_DIR);
+    const manifestPath = path.join(previewDir, PREVIEW_MANIFEST);
+
+    try {
+        const existing = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+        if (JSON.stringify(existing.settings) === JSON.stringify(settings)) {
+            return existing;
+        }
+    } catch {
+        // No previews yet
+    }
+
+    const frames = loadFrames(videoOutputDir);
+
+    // Start over so sprites from a longer earlier run don't linger
+    fs.rmSync(previewDir, { recursive: true, force: true });
+    fs.mkdirSync(previewDir, { recursive: true });
+
+    const manifest = {
+        settings,
+        contactSheet: settings.contactSheet
+            ? await writeContactSheet(videoOutputDir, previewDir, frames, settings.contactSheet, options)
+            : null,
+        sprites: settings.spriteInterval
+            ? await writeSprites(videoOutputDir, previewDir, frames, settings.spriteInterval, options)
+            : null
+    };
+
+    // Written last: its presence means the previews are complete
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+module.exports = {
+    PREVIEW_DIR,
+    MAX_CONTACT_SHEET_FRAMES,
+    createPreviews
+};
@@ -0,0 +1,163 @@
+const { formatDuration } = require('./utils');
+
+// Makes ffmpeg write machine-readable progress blocks to stderr instead of its stats line
+const PROGRESS_ARGS = ['-progress', 'pipe:2', '-nostats'];
+
+/**
+ * Build an ffmpeg stderr line handler for `-progress` output: key=value lines collected
+ * into one onUpdate({ frames, time, speed }) call per block (time is seconds of output
+ * written, speed the multiple of real time; null when ffmpeg reports N/A).
+ * The handler returns true for the progress lines it consumed.
+ */
+function createProgressParser(onUpdate) {
+    let block = {};
+
+    return (line) => {
+        const match = line.match(/^(\w+)=\s*(\S*)$/);
+        if (!match) {
+            return false;
+        }
+
+        const [, key, value] = match;
+        block[key] = value;
+
+        if (key === 'progress') {
+            const time = parseInt(block.out_time_us, 10);
+            const speed = parseFloat(block.speed);
+
+            onUpdate({
+                frames: parseInt(block.frame, 10) || 0,
+                time: Number.isFinite(time) ? Math.max(0, time / 1e6) : null,
+                speed: Number.isFinite(speed) ? speed : null
+            });
+            block = {};
+        }
+
+        return true;
+    };
+}
+
+/**
+ * Track how far each video of a run is and estimate the time left. Videos are weighted
+ * by the seconds of video they process (unknown ones count as the average known one),
+ * and the ETA comes from how many of those seconds the run has got through so far.
+ * Cached videos take no work and drop out of the estimate.
+ */
+function createRunProgress(totalVideos) {
+    const videos = new Map();
+    const finishedWeights = [];
+    let finishedCount = 0;
+    let skippedCount = 0;
+    let startedAt = null;
+
+    const knownWeights = () => [
+        ...finishedWeights,
+        ...[...videos.values()].map(video => video.weight).filter(weight => weight)
+    ];
+
+    return {
+        start(key) {
+            if (startedAt === null) startedAt = Date.now();
+            videos.set(key, { weight: null, fraction: 0, frames: 0, speed: null });
+        },
+
+        // Seconds of video this one processes (null or 0 when unknown)
+        setWeight(key, weight) {
+            const video = videos.get(key);
+            if (video) video.weight = weight || null;
+        },
+
+        setTotal(value) {
+            totalVideos = value;
+        },
+
+        update(key, progress) {
+            const video = videos.get(key);
+            if (video) Object.assign(video, progress);
+        },
+
+        finish(key, cached = false) {
+            const video = videos.get(key);
+            videos.delete(key);
+
+            if (cached) {
+                skippedCount++;
+            } else {
+                finishedCount++;
+                if (video && video.weight) finishedWeights.push(video.weight);
+            }
+        },
+
+        /**
+         * { percent, frames, speed } of a running video (percent null when its length is unknown)
+         */
+        get(key) {
+            const video = videos.get(key);
+            if (!video) return null;
+
+            return {
+                percent: video.weight ? Math.min(99, Math.floor(video.fraction * 100)) : null,
+                frames: video.frames,
+                speed: video.speed
+            };
+        },
+
+        /**
+         * "37%, 1234 frames, 2.1x" for a running video
+         */
+        describe(key) {
+            const video = this.get(key);
+            if (!video) return '';
+
+            const parts = [];
+            if (video.percent !== null) parts.push(`${video.percent}%`);
+            parts.push(`${video.frames} frames`);
+            if (video.speed) parts.push(`${video.speed}x`);
+            return parts.join(', ');
+        },
+
+        /**
+         * Overall { percent, eta } (eta in seconds, null until there is enough to go on)
+         */
+        estimate() {
+            const known = knownWeights();
+            const average = known.length > 0 ? known.reduce((sum, weight) => sum + weight, 0) / known.length : null;
+            if (average === null) {
+                return { percent: null, eta: null };
+            }
+
+            const running = [...videos.values()];
+            const weightOf = video => video.weight || average;
+            const done = finishedWeights.reduce((sum, weight) => sum + weight, 0) +
+                (finishedCount - finishedWeights.length) * average +
+                running.reduce((sum, video) => sum + weightOf(video) * video.fraction, 0);
+            const notStarted = Math.max(0, totalVideos - finishedCount - skippedCount - running.length);
+            const total = done +
+                running.reduce((sum, video) => sum + weightOf(video) * (1 - video.fraction), 0) +
+                notStarted * average;
+
+            const elapsed = (Date.now() - startedAt) / 1000;
+            return {
+                percent: total > 0 ? Math.floor((done / total) * 100) : null,
+                eta: done > 0 && elapsed > 0 ? ((total - done) / done) * elapsed : null
+            };
+        },
+
+        /**
+         * "45%, ETA 05:12" (empty until an estimate is available)
+         */
+        describeEstimate() {
+            const { percent, eta } = this.estimate();
+            const parts = [];
+            if (percent !== null) parts.push(`${percent}%`);
+            if (eta !== null) parts.push(`ETA ${formatDuration(eta)}`);
+            return parts.join(', ');
+        }
+    };
+}
+
+module.exports = {
+    PROGRESS_ARGS,
+    createProgressParser,
+    createRunProgress
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeGrayscaleFrames } = require('./utils');
+
+// Frames are measured on a fixed-size grayscale thumbnail so thresholds don't depend on resolution
+const ANALYSIS_WIDTH = 160;
+const ANALYSIS_HEIGHT = 120;
+
+// Luma levels counted as crushed shadows / clipped highlights
+const DARK_LEVEL = 16;
+const BRIGHT_LEVEL = 239;
+
+// Frames with less luma spread than this are a single flat colour
+const BLANK_CONTRAST = 4;
+
+const QUALITY_CHECKS = ['blur', 'black', 'exposure'];
+
+const DEFAULT_THRESHOLDS = {
+    blur: 100,
+    black: 16,
+    exposure: 0.9
+};
+
+/**
+ * Parse a comma list of quality checks ("blur,black,exposure" or "all")
+ * Returns the list or null if any entry is unknown
+ */
+function parseQualityChecks(value) {
+    const checks = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    if (checks.length === 0) return null;
+    if (checks.includes('all')) return [...QUALITY_CHECKS];
+    if (checks.some(check => !QUALITY_CHECKS.includes(check))) return null;
+    return [...new Set(checks)];
+}
+
+/**
+ * Brightness, contrast, sharpness and clipping ratios of a grayscale thumbnail
+ */
+function measureFrame(pixels, width = ANALYSIS_WIDTH, height = ANALYSIS_HEIGHT) {
+    const total = width * height;
+    let sum = 0;
+    let sumSquares = 0;
+    let dark = 0;
+    let bright = 0;
+
+    for (let i = 0; i < total; i++) {
+        const value = pixels[i];
+        sum += value;
+        sumSquares += value * value;
+        if (value <= DARK_LEVEL) dark++;
+        if (value >= BRIGHT_LEVEL) bright++;
+    }
+
+    const brightness = sum / total;
+    const contrast = Math.sqrt(Math.max(0, sumSquares / total - brightness * brightness));
+
+    // Sharpness: variance of the 4-neighbour Laplacian over interior pixels
+    let lapSum = 0;
+    let lapSquares = 0;
+    let lapCount = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const lap = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+            lapSum += lap;
+            lapSquares += lap * lap;
+            lapCount++;
+        }
+    }
+
+    const lapMean = lapCount ? lapSum / lapCount : 0;
+    const sharpness = lapCount ? lapSquares / lapCount - lapMean * lapMean : 0;
+
+    return {
+        brightness: round(brightness),
+        contrast: round(contrast),
+        sharpness: round(sharpness),
+        darkRatio: round(dark / total),
+        brightRatio: round(bright / total)
+    };
+}
+
+/**
+ * Single "how usable is this frame" score for --select best: sharpness, scaled down
+ * by the share of pixels lost to crushed shadows or clipped highlights
+ */
+function scoreFrame(metrics) {
+    const clipped = Math.min(1, metrics.darkRatio + metrics.brightRatio);
+    return round(metrics.sharpness * (1 - clipped));
+}
+
+/**
+ * Round a measurement to two decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Reason a frame fails the enabled checks, or null if it passes
+ */
+function getRejectReason(metrics, checks, thresholds) {
+    if (checks.includes('black')) {
+        if (metrics.brightness <= thresholds.black) return 'black';
+        if (metrics.contrast < BLANK_CONTRAST) return 'blank';
+    }
+    if (checks.includes('exposure')) {
+        if (metrics.darkRatio >= thresholds.exposure) return 'underexposed';
+        if (metrics.brightRatio >= thresholds.exposure) return 'overexposed';
+    }
+    if (checks.includes('blur') && metrics.sharpness < thresholds.blur) {
+        return 'blurry';
+    }
+    return null;
+}
+
+/**
+ * Measure every frame and drop (delete) those failing the enabled checks
+ * frames: [{ file, pts, ... }] in extraction order
+ */
+async function filterFrames(directory, frames, options) {
+    const { checks, thresholds, verbose, signal } = options;
+    const metrics = [];
+
+    await decodeGrayscaleFrames(directory, frames.map(frame => frame.file), {
+        width: ANALYSIS_WIDTH,
+        height: ANALYSIS_HEIGHT,
+        verbose,
+        signal
+    }, (pixels) => {
+        metrics.push(measureFrame(pixels));
+    });
+
+    const kept = [];
+    const rejected = [];
+
+    frames.forEach((frame, i) => {
+        const reason = getRejectReason(metrics[i], checks, thresholds);
+
+        if (reason) {
+            fs.unlinkSync(path.join(directory, frame.file));
+            rejected.push({ file: frame.file, pts: frame.pts, reason, metrics: metrics[i] });
+            return;
+        }
+
+        frame.quality = metrics[i];
+        kept.push(frame);
+    });
+
+    return { kept, rejected };
+}
+
+/**
+ * Count rejected frames per reason
+ */
+function countReasons(rejected) {
+    const counts = {};
+    for (const entry of rejected) {
+        counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Write the per-video quality.json report of rejected frames
+ */
+function writeQualityReport(directory, videoPath, checks, thresholds, kept, rejected) {
+    const report = {
+        video: videoPath,
+        checks,
+        thresholds,
+        kept: kept.length,
+        rejected: rejected.length,
+        reasons: countReasons(rejected),
+        frames: rejected
+    };
+
+    const reportPath = path.join(directory, 'quality.json');
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+}
+
+module.exports = {
+    ANALYSIS_WIDTH,
+    ANALYSIS_HEIGHT,
+    QUALITY_CHECKS,
+    DEFAULT_THRESHOLDS,
+    parseQualityChecks,
+    measureFrame,
+    scoreFrame,
+    filterFrames,
+    countReasons,
+    writeQualityReport
+};
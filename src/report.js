@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { TOOL } = require('./metadata');
+
+// Exit status of a run (a cancelled run exits with 130 for SIGINT or 143 for SIGTERM)
+const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    partial: 2,
+    failed: 3
+};
+
+/**
+ * Outcome of a finished run: success (nothing failed), partial (some videos failed or
+ * were left incomplete, or uploads failed) or failed (not a single video made it)
+ * run: what the extractor returned (null for a dry run or when no videos were found)
+ * uploads: the upload summary (null without --upload-drive)
+ */
+function getRunOutcome(run, uploads) {
+    if (!run) {
+        return 'success';
+    }
+
+    const { extracted, cached, failed, incomplete, downloadFailed } = run.summary;
+    const failures = failed + incomplete + downloadFailed;
+
+    if (extracted + cached === 0 && failures > 0) {
+        return 'failed';
+    }
+    if (failures > 0 || (uploads && !uploads.success)) {
+        return 'partial';
+    }
+    return 'success';
+}
+
+/**
+ * The final summary of a run, as written by --report and the JSON summary event
+ */
+function createRunReport(outcome, exitCode, run, uploads, error = null) {
+    return {
+        tool: TOOL,
+        outcome,
+        exitCode,
+        startedAt: run ? run.startedAt : null,
+        finishedAt: new Date().toISOString(),
+        summary: run ? run.summary : null,
+        uploads: uploads ? {
+            uploaded: uploads.uploaded,
+            failed: uploads.failed,
+            stopped: uploads.stopped,
+            deleted: uploads.deleted
+        } : null,
+        failures: run ? run.failures : [],
+        manifest: run ? run.manifest : null,
+        htmlReport: run ? run.htmlReport : null,
+        error
+    };
+}
+
+/**
+ * Write the report to a file (--report)
+ */
+function writeReport(reportPath, report) {
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+}
+
+module.exports = {
+    EXIT_CODES,
+    getRunOutcome,
+    createRunReport,
+    writeReport
+};
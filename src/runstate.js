@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { TOOL } = require('./metadata');
+
+// Run state file in the output directory, rewritten after every stage change
+const STATE_FILE = '.vfe_state.json';
+
+const STAGES = ['download', 'extract', 'upload'];
+
+/**
+ * Key a video is tracked under: its URL for downloads, otherwise its local path
+ */
+function getStateKey(video) {
+    return video.url || path.resolve(video.path);
+}
+
+/**
+ * Read a state file (null if missing or unreadable)
+ */
+function readStateFile(statePath) {
+    try {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        return state && state.items ? state : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Track every URL/video through the download, extract and upload stages in
+ * .vfe_state.json so an interrupted run can be continued with --resume.
+ * Without resume an existing state file is replaced by a fresh one.
+ */
+function createRunState(outputDir, options = {}) {
+    const { resume = false } = options;
+    const statePath = path.join(outputDir, STATE_FILE);
+    const previous = resume ? readStateFile(statePath) : null;
+
+    const state = previous || {
+        tool: TOOL,
+        startedAt: new Date().toISOString(),
+        resumedAt: null,
+        updatedAt: null,
+        items: {}
+    };
+    state.resumedAt = previous ? new Date().toISOString() : null;
+
+    // Write to a temporary file first so a crash mid-write never leaves a truncated state
+    const save = () => {
+        state.updatedAt = new Date().toISOString();
+        const tempPath = `${statePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tempPath, statePath);
+    };
+
+    const getItem = (key) => state.items[key] || null;
+
+    save();
+
+    return {
+        // True when an earlier run's state was loaded
+        resuming: Boolean(previous),
+
+        startedAt: state.startedAt,
+
+        get: getItem,
+
+        /**
+         * Whether a stage of an item finished in this or an earlier run
+         */
+        isDone(key, stage) {
+            const item = getItem(key);
+            return Boolean(item && item[stage] && item[stage].status === 'done');
+        },
+
+        /**
+         * Record a stage's status (running, done, failed or incomplete) and details for an item
+         */
+        update(key, stage, status, details = {}) {
+            if (!STAGES.includes(stage)) {
+                throw new Error(`Unknown run stage: ${stage}`);
+            }
+
+            const item = state.items[key] || (state.items[key] = { source: key });
+            item[stage] = { status, ...details, updatedAt: new Date().toISOString() };
+            save();
+        },
+
+        /**
+         * Find the item whose extract stage wrote to this output folder (relative to the output directory)
+         */
+        findByOutputDir(relativeDir) {
+            const key = Object.keys(state.items).find(itemKey => {
+                const extract = state.items[itemKey].extract;
+                return extract && extract.outputDir === relativeDir;
+            });
+            return key ? { key, item: state.items[key] } : null;
+        },
+
+        /**
+         * Count items per stage and status, e.g. { download: { done: 3, failed: 1 } }
+         */
+        summarize() {
+            const summary = {};
+            for (const stage of STAGES) {
+                summary[stage] = {};
+                for (const item of Object.values(state.items)) {
+                    if (item[stage]) {
+                        summary[stage][item[stage].status] = (summary[stage][item[stage].status] || 0) + 1;
+                    }
+                }
+            }
+            return summary;
+        }
+    };
+}
+
+module.exports = {
+    STATE_FILE,
+    getStateKey,
+    createRunState
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTime, sanitizeFilename } = require('./utils');
+
+/**
+ * Parse a list of time values into sorted, de-duplicated seconds
+ */
+function parseTimestampList(values, source) {
+    const times = values
+        .map(value => String(value).trim().replace(/^["']|["']$/g, ''))
+        .filter(value => value)
+        .map(value => {
+            const seconds = parseTime(value);
+            if (seconds === null || seconds < 0) {
+                throw new Error(`Invalid timestamp "${value}" in ${source}`);
+            }
+            return seconds;
+        });
+
+    return [...new Set(times)].sort((a, b) => a - b);
+}
+
+/**
+ * Merge timestamps into a spec entry, keeping it sorted and unique
+ */
+function mergeTimestamps(existing, times) {
+    return [...new Set([...(existing || []), ...times])].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a JSON timestamps file
+ * Either an array of times, or an object keyed by video name ("*" applies to all videos)
+ */
+function parseJsonTimestamps(content, filePath) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to parse timestamps file: ${error.message}`);
+    }
+
+    const spec = { all: null, byVideo: {} };
+
+    if (Array.isArray(data)) {
+        spec.all = parseTimestampList(data, filePath);
+        return spec;
+    }
+
+    if (!data || typeof data !== 'object') {
+        throw new Error('Timestamps JSON must be an array or an object keyed by video name');
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+        const values = Array.isArray(value) ? value : String(value).split(',');
+        const times = parseTimestampList(values, `${filePath} (${key})`);
+
+        if (key === '*') {
+            spec.all = times;
+        } else {
+            spec.byVideo[key] = times;
+        }
+    }
+
+    return spec;
+}
+
+/**
+ * Parse a CSV/text timestamps file
+ * Rows are either "time[,time...]" (all videos) or "video,time[,time...]"
+ */
+function parseCsvTimestamps(content, filePath) {
+    const spec = { all: null, byVideo: {} };
+
+    const rows = content
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+
+    rows.forEach((row, rowIndex) => {
+        const columns = row.split(',').map(column => column.trim().replace(/^["']|["']$/g, ''));
+
+        if (parseTime(columns[0]) !== null) {
+            spec.all = mergeTimestamps(spec.all, parseTimestampList(columns, filePath));
+            return;
+        }
+
+        // Skip a header row such as "video,timestamp"
+        if (rowIndex === 0 && columns.slice(1).every(column => parseTime(column) === null)) {
+            return;
+        }
+
+        const key = columns[0];
+        const times = parseTimestampList(columns.slice(1), `${filePath} (${key})`);
+        spec.byVideo[key] = mergeTimestamps(spec.byVideo[key], times);
+    });
+
+    return spec;
+}
+
+/**
+ * Load timestamps from a comma-separated list or a CSV/JSON file
+ */
+function loadTimestamps(value) {
+    const filePath = path.resolve(value);
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        const content = fs.readFileSync(filePath, 'utf-8');
+
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            return parseJsonTimestamps(content, filePath);
+        }
+        return parseCsvTimestamps(content, filePath);
+    }
+
+    return { all: parseTimestampList(value.split(','), '--timestamps'), byVideo: {} };
+}
+
+/**
+ * Get the timestamps that apply to a video (per-video entry first, then the shared list)
+ * A downloaded video also matches by its name plus extension, as its file carries a URL hash
+ */
+function getTimestampsForVideo(spec, video) {
+    const candidates = [
+        path.basename(video.path),
+        video.name,
+        sanitizeFilename(video.name),
+        `${video.name}${path.extname(video.path)}`
+    ];
+
+    for (const [key, times] of Object.entries(spec.byVideo)) {
+        if (candidates.includes(key) || sanitizeFilename(key) === candidates[2]) {
+            return times;
+        }
+    }
+
+    return spec.all;
+}
+
+/**
+ * Parse --segments ("start-end,start-end") into sorted { start, end } windows in seconds
+ */
+function parseSegments(value) {
+    const segments = value
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => part)
+        .map(part => {
+            const [startValue, endValue, ...rest] = part.split('-').map(time => time.trim());
+            const start = parseTime(startValue);
+            const end = parseTime(endValue);
+
+            if (rest.length > 0 || start === null || end === null || end <= start) {
+                throw new Error(`Invalid segment "${part}" (expected start-end, e.g. 00:01:00-00:02:00)`);
+            }
+
+            return { start, end };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    if (segments.length === 0) {
+        throw new Error('--segments requires at least one start-end range');
+    }
+
+    return segments;
+}
+
+/**
+ * Hash a string to a 32-bit integer (used to derive per-video seeds)
+ */
+function hashString(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) - hash) + value.charCodeAt(i);
+        hash |= 0;
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so random sampling is reproducible
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate N sample timestamps within [start, end] seconds
+ * "even" places one frame in the middle of each of N equal slices,
+ * "random" picks N reproducible random times seeded by seed + key (e.g. the video name)
+ */
+function getSampleTimestamps(count, start, end, options = {}) {
+    const { sampling = 'even', seed = 0, key = '' } = options;
+    const span = end - start;
+
+    if (!(span > 0)) {
+        return [];
+    }
+
+    let times;
+
+    if (sampling === 'random') {
+        const random = createRandom(seed ^ hashString(key));
+        times = Array.from({ length: count }, () => start + random() * span);
+    } else {
+        const step = span / count;
+        times = Array.from({ length: count }, (_, i) => start + (i + 0.5) * step);
+    }
+
+    // Millisecond precision keeps filenames and reports stable
+    return [...new Set(times.map(time => Math.round(time * 1000) / 1000))].sort((a, b) => a - b);
+}
+
+module.exports = {
+    loadTimestamps,
+    getTimestampsForVideo,
+    getSampleTimestamps,
+    parseSegments
+};
@@ -0,0 +1,189 @@
+/**
+ * Frame geometry: crop -> scale -> pad, computed up front so the exact transform
+ * can be recorded and output coordinates mapped back to the source video
+ */
+
+const FIT_MODES = ['contain', 'cover', 'pad', 'stretch'];
+const SCALE_ALGORITHMS = ['bicubic', 'bilinear', 'fast_bilinear', 'lanczos', 'spline', 'neighbor', 'area', 'gauss', 'sinc'];
+
+/**
+ * Parse a --resize value: WxH, Wx (width only) or xH (height only)
+ */
+function parseResize(value) {
+    const match = String(value).trim().match(/^(\d*)x(\d*)$/i);
+    if (!match || (!match[1] && !match[2])) {
+        throw new Error(`Invalid --resize "${value}" (expected WxH, Wx or xH, e.g. 640x480)`);
+    }
+
+    const width = match[1] ? parseInt(match[1], 10) : null;
+    const height = match[2] ? parseInt(match[2], 10) : null;
+
+    if (width === 0 || height === 0) {
+        throw new Error(`Invalid --resize "${value}" (dimensions must be positive)`);
+    }
+
+    return { width, height };
+}
+
+/**
+ * Parse a --crop value: WxH (centered) or WxH+X+Y (explicit offset)
+ */
+function parseCrop(value) {
+    const match = String(value).trim().match(/^(\d+)x(\d+)(?:\+(\d+)\+(\d+))?$/i);
+    if (!match || parseInt(match[1], 10) === 0 || parseInt(match[2], 10) === 0) {
+        throw new Error(`Invalid --crop "${value}" (expected WxH or WxH+X+Y, e.g. 1280x720+320+180)`);
+    }
+
+    return {
+        width: parseInt(match[1], 10),
+        height: parseInt(match[2], 10),
+        x: match[3] !== undefined ? parseInt(match[3], 10) : null,
+        y: match[4] !== undefined ? parseInt(match[4], 10) : null
+    };
+}
+
+/**
+ * Get the displayed width/height of the first video stream from ffprobe output
+ * (swapped for videos with 90/270 degree rotation, which ffmpeg auto-rotates)
+ */
+function getSourceDimensions(probe) {
+    const stream = probe && (probe.streams || []).find(s => s.codec_type === 'video');
+    if (!stream || !stream.width || !stream.height) {
+        return null;
+    }
+
+    let rotation = stream.tags && stream.tags.rotate ? parseInt(stream.tags.rotate, 10) : 0;
+    const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    if (displayMatrix) {
+        rotation = parseInt(displayMatrix.rotation, 10);
+    }
+
+    const rotated = Math.abs(rotation) % 180 === 90;
+    return rotated
+        ? { width: stream.height, height: stream.width }
+        : { width: stream.width, height: stream.height };
+}
+
+/**
+ * Compute the crop/scale/pad transform for a source size
+ * spec: { resize, crop, fit, algorithm, padColor }
+ */
+function computeTransform(source, spec) {
+    const { resize = null, fit = 'contain', algorithm = 'bicubic', padColor = 'black' } = spec;
+
+    // Explicit crop, centered unless an offset was given
+    let crop = { x: 0, y: 0, width: source.width, height: source.height };
+    if (spec.crop) {
+        const width = Math.min(spec.crop.width, source.width);
+        const height = Math.min(spec.crop.height, source.height);
+        crop = {
+            x: spec.crop.x !== null ? Math.min(spec.crop.x, source.width - width) : Math.floor((source.width - width) / 2),
+            y: spec.crop.y !== null ? Math.min(spec.crop.y, source.height - height) : Math.floor((source.height - height) / 2),
+            width,
+            height
+        };
+    }
+
+    let scale = null;
+    let pad = null;
+
+    if (resize) {
+        let { width, height } = resize;
+
+        if (!width || !height) {
+            // One dimension given: keep the aspect ratio
+            width = width || Math.max(1, Math.round(crop.width * height / crop.height));
+            height = height || Math.max(1, Math.round(crop.height * width / crop.width));
+            scale = { width, height };
+        } else if (fit === 'stretch') {
+            scale = { width, height };
+        } else if (fit === 'cover') {
+            // Scale to fill, then trim the overflow evenly (done as a centered crop in source space)
+            const factor = Math.max(width / crop.width, height / crop.height);
+            const coverWidth = Math.min(crop.width, Math.round(width / factor));
+            const coverHeight = Math.min(crop.height, Math.round(height / factor));
+            crop = {
+                x: crop.x + Math.floor((crop.width - coverWidth) / 2),
+                y: crop.y + Math.floor((crop.height - coverHeight) / 2),
+                width: coverWidth,
+                height: coverHeight
+            };
+            scale = { width, height };
+        } else {
+            // contain / pad: fit inside the box, keeping the aspect ratio
+            const factor = Math.min(width / crop.width, height / crop.height);
+            scale = {
+                width: Math.max(1, Math.round(crop.width * factor)),
+                height: Math.max(1, Math.round(crop.height * factor))
+            };
+
+            if (fit === 'pad') {
+                pad = {
+                    x: Math.floor((width - scale.width) / 2),
+                    y: Math.floor((height - scale.height) / 2),
+                    width,
+                    height,
+                    color: padColor
+                };
+            }
+        }
+
+        scale.algorithm = algorithm;
+    }
+
+    const cropped = crop.x !== 0 || crop.y !== 0 || crop.width !== source.width || crop.height !== source.height;
+    const scaled = scale || { width: crop.width, height: crop.height };
+    const output = pad ? { width: pad.width, height: pad.height } : { width: scaled.width, height: scaled.height };
+
+    // source = output * factor + offset, per axis
+    const scaleX = crop.width / scaled.width;
+    const scaleY = crop.height / scaled.height;
+
+    return {
+        source: { width: source.width, height: source.height },
+        crop: cropped ? crop : null,
+        scale,
+        pad,
+        output,
+        toSource: {
+            scaleX,
+            scaleY,
+            offsetX: crop.x - (pad ? pad.x : 0) * scaleX,
+            offsetY: crop.y - (pad ? pad.y : 0) * scaleY
+        }
+    };
+}
+
+/**
+ * ffmpeg filters implementing a computed transform
+ */
+function getTransformFilters(transform) {
+    const filters = [];
+
+    if (transform.crop) {
+        const { width, height, x, y } = transform.crop;
+        filters.push(`crop=${width}:${height}:${x}:${y}`);
+    }
+
+    if (transform.scale) {
+        const { width, height, algorithm } = transform.scale;
+        filters.push(`scale=${width}:${height}:flags=${algorithm}`);
+    }
+
+    if (transform.pad) {
+        const { width, height, x, y, color } = transform.pad;
+        filters.push(`pad=${width}:${height}:${x}:${y}:color=${color}`);
+    }
+
+    return filters;
+}
+
+module.exports = {
+    FIT_MODES,
+    SCALE_ALGORITHMS,
+    parseResize,
+    parseCrop,
+    getSourceDimensions,
+    computeTransform,
+    getTransformFilters
+};
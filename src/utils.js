@@ -1,4 +1,14 @@
 const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { isJsonLogs } = require('./events');
+
+// Keep at most this many ffmpeg stderr lines for error messages
+const MAX_ERROR_LINES = 20;
+
+// ffmpeg processes started by runFfmpeg that haven't exited yet
+const activeFfmpeg = new Set();
 
 /**
  * Check if ffmpeg is installed and available
@@ -19,6 +29,234 @@ async function checkFfmpeg() {
     });
 }
 
+/**
+ * Run ffmpeg with the given arguments, passing each stderr line to onLine
+ * and raw stdout data to onStdout (both optional). onLine returns true for the
+ * lines it consumed (frame info, progress); the error message of a failed run
+ * is made from the last lines that were left. Aborting the optional
+ * AbortSignal kills ffmpeg and rejects with an "ffmpeg was stopped" error
+ * (callers that abort know why).
+ */
+function runFfmpeg(args, verbose, onLine, onStdout, signal) {
+    return new Promise((resolve, reject) => {
+        const stopped = () => new Error('ffmpeg was stopped');
+
+        // Aborted between two ffmpeg runs of the same job
+        if (signal && signal.aborted) {
+            reject(stopped());
+            return;
+        }
+
+        if (verbose) {
+            console.log(chalk.gray(`   Command: ffmpeg ${args.join(' ')}`));
+        }
+
+        // stderr is always piped so frame info can be parsed, and echoed in verbose mode
+        // (--log-format json keeps stdout for events, so anything ffmpeg prints goes to stderr)
+        const ffmpeg = spawn('ffmpeg', args, {
+            stdio: verbose ? ['inherit', onStdout ? 'pipe' : (isJsonLogs() ? 2 : 'inherit'), 'pipe'] : 'pipe',
+            signal
+        });
+        activeFfmpeg.add(ffmpeg);
+
+        if (onStdout) {
+            ffmpeg.stdout.on('data', onStdout);
+        }
+
+        const errorLines = [];
+        let pending = '';
+
+        // Per-frame logging gets large, so only the tail of what onLine and the stats line leave is kept
+        const handleLine = (line) => {
+            if ((onLine && onLine(line) === true) || !line.trim() || /^frame=\s*\d+/.test(line)) {
+                return;
+            }
+            errorLines.push(line);
+            if (errorLines.length > MAX_ERROR_LINES) errorLines.shift();
+        };
+
+        ffmpeg.stderr.on('data', (data) => {
+            if (verbose) {
+                process.stderr.write(data);
+            }
+
+            const lines = (pending + data.toString()).split(/[\r\n]+/);
+            pending = lines.pop();
+            lines.forEach(handleLine);
+        });
+
+        ffmpeg.on('close', (code) => {
+            activeFfmpeg.delete(ffmpeg);
+
+            if (pending) {
+                handleLine(pending);
+            }
+
+            if (signal && signal.aborted) {
+                reject(stopped());
+            } else if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}\n${errorLines.join('\n')}`));
+            }
+        });
+
+        ffmpeg.on('error', (err) => {
+            activeFfmpeg.delete(ffmpeg);
+            reject(signal && signal.aborted ? stopped() : new Error(`Failed to start ffmpeg: ${err.message}`));
+        });
+    });
+}
+
+/**
+ * Stop every ffmpeg process started by runFfmpeg; their runFfmpeg calls reject
+ */
+function terminateFfmpeg(signal = 'SIGTERM') {
+    for (const ffmpeg of activeFfmpeg) {
+        ffmpeg.kill(signal);
+    }
+}
+
+/**
+ * Build a runFfmpeg stdout handler that cuts a rawvideo stream into frames of
+ * frameSize bytes, calling onFrame(pixels, index) for each complete frame
+ */
+function splitRawFrames(frameSize, onFrame) {
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    return (data) => {
+        pending = Buffer.concat([pending, data]);
+        while (pending.length >= frameSize) {
+            onFrame(pending.subarray(0, frameSize), index++);
+            pending = pending.subarray(frameSize);
+        }
+    };
+}
+
+/**
+ * Decode frame image files into fixed-size 8-bit grayscale pixel buffers with a single
+ * ffmpeg run (concat demuxer), calling onFrame(pixels, index) for each file in order
+ */
+async function decodeGrayscaleFrames(directory, files, options, onFrame) {
+    const { width, height, verbose, signal } = options;
+    const listPath = path.join(directory, '.vfe_frame_list.txt');
+
+    const list = files
+        .map(file => `file '${path.join(directory, file).replace(/'/g, "'\\''")}'`)
+        .join('\n');
+    fs.writeFileSync(listPath, list);
+
+    let decoded = 0;
+
+    try {
+        await runFfmpeg([
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', listPath,
+            '-vf', `scale=${width}:${height}:flags=area,format=gray`,
+            '-vsync', 'passthrough',
+            '-f', 'rawvideo',
+            'pipe:1'
+        ], verbose, null, splitRawFrames(width * height, (pixels, index) => {
+            decoded++;
+            onFrame(pixels, index);
+        }), signal);
+    } finally {
+        fs.unlinkSync(listPath);
+    }
+
+    if (decoded !== files.length) {
+        throw new Error(`Decoded ${decoded} of ${files.length} frames for analysis`);
+    }
+}
+
+/**
+ * Format file size for display
+ */
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let unitIndex = 0;
+    let size = bytes;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+        size /= 1024;
+        unitIndex++;
+    }
+
+    return `${size.toFixed(2)} ${units[unitIndex]}`;
+}
+
+/**
+ * Free bytes on the volume holding a directory (or its nearest existing parent), null if unknown
+ */
+function getFreeSpace(directory) {
+    if (typeof fs.statfsSync !== 'function') {
+        return null;
+    }
+
+    let dir = path.resolve(directory);
+    while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+        dir = path.dirname(dir);
+    }
+
+    try {
+        const stats = fs.statfsSync(dir);
+        return stats.bavail * stats.bsize;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Count keyframe packets of the first video stream between start and end (seconds) without
+ * decoding anything, by reading packet flags with ffprobe. Resolves null if probing fails
+ */
+async function countKeyframes(videoPath, start = 0, end = null) {
+    return new Promise((resolve) => {
+        const interval = `${start}%${end !== null ? end : ''}`;
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-read_intervals', interval,
+            '-show_entries', 'packet=pts_time,flags',
+            '-of', 'csv=p=0',
+            videoPath
+        ], {
+            stdio: 'pipe'
+        });
+
+        let pending = '';
+        let count = 0;
+
+        // One "pts_time,flags" line per packet; only keep the running count
+        ffprobe.stdout.on('data', (data) => {
+            const lines = (pending + data.toString()).split('\n');
+            pending = lines.pop();
+            count += lines.filter(line => isKeyframeLine(line, start, end)).length;
+        });
+
+        ffprobe.on('close', (code) => {
+            if (isKeyframeLine(pending, start, end)) count++;
+            resolve(code === 0 ? count : null);
+        });
+
+        ffprobe.on('error', () => {
+            resolve(null);
+        });
+    });
+}
+
+/**
+ * Whether a "pts_time,flags" packet line is a keyframe inside the window
+ */
+function isKeyframeLine(line, start, end) {
+    const [ptsTime, flags = ''] = line.split(',');
+    const time = parseFloat(ptsTime);
+    if (!flags.includes('K') || isNaN(time)) return false;
+    return time >= start && (end === null || time < end);
+}
+
 /**
  * Get video duration using ffprobe
  */
@@ -53,6 +291,46 @@ async function getVideoDuration(videoPath) {
     });
 }
 
+/**
+ * Get container and stream details using ffprobe (parsed JSON, or null on failure)
+ */
+async function getVideoInfo(videoPath) {
+    return new Promise((resolve) => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-show_format',
+            '-show_streams',
+            '-of', 'json',
+            videoPath
+        ], {
+            stdio: 'pipe'
+        });
+
+        let output = '';
+
+        ffprobe.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        ffprobe.on('close', (code) => {
+            if (code !== 0) {
+                resolve(null);
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(output));
+            } catch {
+                resolve(null);
+            }
+        });
+
+        ffprobe.on('error', () => {
+            resolve(null);
+        });
+    });
+}
+
 /**
  * Format duration in seconds to HH:MM:SS
  */
@@ -71,6 +349,84 @@ function formatDuration(seconds) {
     return parts.join(':');
 }
 
+/**
+ * Parse a time value (HH:MM:SS, MM:SS or seconds) into seconds
+ * Returns null if the value cannot be parsed
+ */
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const parts = String(value).trim().split(':');
+    if (parts.length > 3 || parts.some(part => part === '' || isNaN(Number(part)))) {
+        return null;
+    }
+
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Build a frame filename from a printf-style pattern (e.g. frame_%06d.png)
+ */
+function formatFramePattern(pattern, frameNumber) {
+    return pattern.replace(/%(0?)(\d*)d/, (match, zero, width) => {
+        const number = frameNumber.toString();
+        return zero ? number.padStart(parseInt(width, 10) || 0, '0') : number;
+    });
+}
+
+/**
+ * Format seconds as a timecode with milliseconds (HH:MM:SS.mmm)
+ * Pass '-' as separator for a filename-safe variant
+ */
+function formatTimecode(seconds, separator = ':') {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return [hours, minutes, secs].map(n => n.toString().padStart(2, '0')).join(separator) +
+        '.' + ms.toString().padStart(3, '0');
+}
+
+/**
+ * Build a frame filename from a printf-style pattern, using a timestamp (HH-MM-SS.mmm)
+ * in place of the frame number
+ */
+function formatTimestampPattern(pattern, seconds) {
+    const stamp = formatTimecode(seconds, '-');
+
+    if (/%0?\d*d/.test(pattern)) {
+        return pattern.replace(/%0?\d*d/, stamp);
+    }
+
+    // No frame number placeholder: append the timestamp before the extension
+    const ext = pattern.lastIndexOf('.');
+    return ext > 0 ? `${pattern.slice(0, ext)}_${stamp}${pattern.slice(ext)}` : `${pattern}_${stamp}`;
+}
+
+/**
+ * Check whether a filename pattern uses {video}, {pts}, {timecode} or {index} tokens
+ */
+function hasFilenameTokens(pattern) {
+    return /\{(video|pts|timecode|index)\}/.test(pattern);
+}
+
+/**
+ * Build a frame filename from a pattern with tokens:
+ * {video} video name, {pts} seconds (12.345), {timecode} HH-MM-SS.mmm, {index} 000001
+ * A printf-style %d is also replaced with the frame index
+ */
+function formatFrameFilename(pattern, frame) {
+    return formatFramePattern(pattern, frame.index)
+        .replace(/\{video\}/g, frame.video || '')
+        .replace(/\{pts\}/g, frame.pts.toFixed(3))
+        .replace(/\{timecode\}/g, formatTimecode(frame.pts, '-'))
+        .replace(/\{index\}/g, frame.index.toString().padStart(6, '0'));
+}
+
 /**
  * Sanitize filename for use as directory name
  * Handles URL-encoded filenames, brackets, and other special characters
@@ -103,7 +459,21 @@ function sanitizeFilename(filename) {
 
 module.exports = {
     checkFfmpeg,
+    runFfmpeg,
+    terminateFfmpeg,
+    splitRawFrames,
+    decodeGrayscaleFrames,
     getVideoDuration,
+    getVideoInfo,
+    countKeyframes,
     formatDuration,
+    formatFileSize,
+    getFreeSpace,
+    parseTime,
+    formatFramePattern,
+    formatTimecode,
+    formatTimestampPattern,
+    hasFilenameTokens,
+    formatFrameFilename,
     sanitizeFilename
 };
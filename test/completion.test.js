@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkCompletion, writeCompletionMarker } = require('../src/completion');
+
+const options = { mode: 'fps', fps: 1, imageFormat: 'png', quality: 1, format: 'frame_%06d' };
+
+test('a folder finished from one video is not complete for another of the same size and length', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vfe-completion-'));
+    const videos = ['a', 'b'].map(name => {
+        const videoPath = path.join(dir, name, 'clip.mp4');
+        fs.mkdirSync(path.dirname(videoPath));
+        fs.writeFileSync(videoPath, 'same bytes');
+        return { path: videoPath, name: 'clip' };
+    });
+    const outputDir = path.join(dir, 'clip');
+    fs.mkdirSync(outputDir);
+    fs.writeFileSync(path.join(outputDir, 'frame_000001.png'), 'x');
+
+    writeCompletionMarker(outputDir, videos[0], options, { duration: 10, frameCount: 1 });
+
+    assert.strictEqual(checkCompletion(outputDir, videos[0], options).complete, true);
+
+    const other = checkCompletion(outputDir, videos[1], options);
+    assert.strictEqual(other.complete, false);
+    assert.match(other.reason, /different video/);
+
+    const download = checkCompletion(outputDir, { ...videos[0], url: 'http://example.com/clip.mp4' }, options);
+    assert.strictEqual(download.complete, false);
+
+    fs.rmSync(dir, { recursive: true });
+});
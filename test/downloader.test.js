@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { downloadVideo } = require('../src/downloader');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'vfe-downloads-'));
+}
+
+function urlHash(url) {
+    return crypto.createHash('md5').update(url).digest('hex').slice(0, 8);
+}
+
+test('URLs sharing a filename are cached under their own hashed names', async () => {
+    const dir = tempDir();
+    const urls = ['http://one.example/clip.mp4', 'http://two.example/clip.mp4'];
+
+    // Put both in place under the names a download would give them, so nothing is fetched
+    for (const url of urls) {
+        fs.writeFileSync(path.join(dir, `clip_${urlHash(url)}.mp4`), url);
+    }
+
+    const [first, second] = await Promise.all(urls.map(url => downloadVideo(url, dir, false)));
+
+    assert.strictEqual(fs.readFileSync(first.path, 'utf-8'), urls[0]);
+    assert.strictEqual(fs.readFileSync(second.path, 'utf-8'), urls[1]);
+    assert.strictEqual(first.name, 'clip');
+    assert.strictEqual(second.name, 'clip');
+    assert.ok(first.cached && second.cached);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('a plain <name>.mp4 from an earlier version is reused', async () => {
+    const dir = tempDir();
+    const legacyPath = path.join(dir, 'interview_02.mp4');
+    fs.writeFileSync(legacyPath, 'old download');
+
+    const result = await downloadVideo('http://example.com/videos/interview_02.mp4', dir, false);
+
+    assert.deepStrictEqual(result, { path: legacyPath, name: 'interview_02', cached: true });
+    fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('assert');
+const { getTimestampsForVideo } = require('../src/timestamps');
+
+const spec = {
+    all: [0],
+    byVideo: {
+        interview_01: [12, 271.5],
+        'interview_02.mp4': [95.2]
+    }
+};
+
+test('per-video keys match local files with or without the extension', () => {
+    assert.deepStrictEqual(getTimestampsForVideo(spec, { path: '/videos/interview_01.mp4', name: 'interview_01' }), [12, 271.5]);
+    assert.deepStrictEqual(getTimestampsForVideo(spec, { path: '/videos/interview_02.mp4', name: 'interview_02' }), [95.2]);
+});
+
+test('per-video keys match downloads whose file name carries a URL hash', () => {
+    const download = name => ({
+        path: `/downloads/${name}_86aa0f88.mp4`,
+        name,
+        url: `http://one.example/${name}.mp4`
+    });
+
+    assert.deepStrictEqual(getTimestampsForVideo(spec, download('interview_01')), [12, 271.5]);
+    assert.deepStrictEqual(getTimestampsForVideo(spec, download('interview_02')), [95.2]);
+    assert.deepStrictEqual(getTimestampsForVideo(spec, download('interview_03')), [0]);
+});